@@ -6,6 +6,9 @@ const cors = require("cors");
 
 const app = express();
 
+// behind Vercel's proxy; lets req.ip be the visitor's address
+app.set("trust proxy", 1);
+
 // Enable CORS with credentials for specific origins
 // Allow preflight requests for all routes
 const corsOptions = {
@@ -43,6 +46,8 @@ const product = require("./controller/product");
 const event = require("./controller/event");
 const coupon = require("./controller/coupounCode");
 const payment = require("./controller/payment");
+const order = require("./controller/order");
+const refund = require("./controller/refund");
 const booking = require("./controller/booking");
 const conversation = require("./controller/conversation");
 const withdraw = require("./controller/withdraw");
@@ -59,6 +64,8 @@ app.use("/api/v2/product", product);
 app.use("/api/v2/event", event);
 app.use("/api/v2/coupon", coupon);
 app.use("/api/v2/payment", payment);
+app.use("/api/v2/order", order);
+app.use("/api/v2/refund", refund);
 app.use("/api/v2/withdraw", withdraw);
 app.use("/api/v2/message", message);
 app.use("/api/v2/public-review", publicReview);
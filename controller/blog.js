@@ -1,7 +1,7 @@
 const express = require("express");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const ErrorHandler = require("../utils/ErrorHandler");
-const { isAdmin, isAuthenticated, isSeller } = require("../middleware/auth");
+const { authorize } = require("../middleware/auth");
 const Blog = require("../model/blog");
 const cloudinary = require("cloudinary").v2;
 
@@ -10,9 +10,7 @@ const router = express.Router();
 // Create a new blog post (Admin only)
 router.post(
   "/create-blog",
-  isAuthenticated,
-  isAdmin("Admin"),
-  isSeller,
+  authorize("blogs:manage"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       let images = [];
@@ -97,8 +95,7 @@ router.get(
 // Delete a blog by ID (Admin only)
 router.delete(
   "/delete-blog/:id",
-  isAuthenticated,
-  isAdmin("Admin"),
+  authorize("blogs:manage"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const blog = await Blog.findById(req.params.id);
@@ -129,8 +126,7 @@ router.delete(
 // Admin route to get all blogs sorted by newest
 router.get(
   "/admin-all-blogs",
-  isAuthenticated,
-  isAdmin("Admin"),
+  authorize("blogs:manage"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const blogs = await Blog.find().sort({ createdAt: -1 });
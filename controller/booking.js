@@ -2,101 +2,591 @@
 
 const express = require("express");
 const router = express.Router();
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 const Booking = require("../model/booking");
+const Product = require("../model/product");
+const Shop = require("../model/shop");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const ErrorHandler = require("../utils/ErrorHandler");
 const sendMail = require("../utils/sendMail");
+const {
+  isAuthenticated,
+  isSeller,
+  loadIdentity,
+  authorize,
+} = require("../middleware/auth");
+const { rolesOf, hasPermission } = require("../utils/permissions");
+const { bookingStatusMail, formatViewingTime } = require("../utils/bookingMail");
+const { bookingEvent, buildCalendar } = require("../utils/ical");
+const {
+  DAY_MS,
+  MAX_SLOT_MINUTES,
+  localDateString,
+  parseLocalDateTime,
+  availabilityOf,
+  isBookableSlot,
+  overlapsBooked,
+  freeSlots,
+  slotKeyFor,
+} = require("../utils/availability");
+
+// the most days the free-slots endpoint returns at once
+const MAX_SLOT_RANGE_DAYS = 31;
+
+// how far back the shop calendar feed goes
+const FEED_HISTORY_DAYS = 30;
+
+// { start, end } (in ms) of the shop's bookings that hold a slot and overlap
+// [from, to), leaving out `exceptId` (the booking being rescheduled)
+const bookedIntervals = async (shopId, slotMinutes, from, to, exceptId) => {
+  const filter = {
+    shop: shopId,
+    slotKey: { $exists: true },
+    bookingDateTime: { $gt: new Date(from - MAX_SLOT_MINUTES * 60 * 1000), $lt: to },
+  };
+  if (exceptId) filter._id = { $ne: exceptId };
+
+  const bookings = await Booking.find(filter).select("bookingDateTime slotMinutes");
+  return bookings
+    .map((booking) => {
+      const start = booking.bookingDateTime.getTime();
+      return { start, end: start + (booking.slotMinutes || slotMinutes) * 60 * 1000 };
+    })
+    .filter((interval) => interval.end > from);
+};
+
+// Check that a Nairobi date + time is a free slot of the shop.
+// Returns { bookingDateTime, slotKey, slotMinutes, shop } or throws a 400 / 409.
+const checkSlot = async (shopId, date, time, exceptId) => {
+  const bookingDateTime = parseLocalDateTime(date, time);
+  if (!bookingDateTime) {
+    throw new ErrorHandler("Invalid date or time format.", 400);
+  }
+
+  if (bookingDateTime <= new Date()) {
+    throw new ErrorHandler("Please choose a time in the future.", 400);
+  }
+
+  const shop = await Shop.findById(shopId);
+  if (!shop) {
+    throw new ErrorHandler("This property's agent is no longer available.", 404);
+  }
+
+  const availability = availabilityOf(shop);
+  const { slotMinutes } = availability;
+  if (!isBookableSlot(availability, bookingDateTime)) {
+    throw new ErrorHandler("The agent is not available at this time.", 400);
+  }
+
+  // bookings made before the shop changed its slot length may overlap this
+  // slot without starting at the same time
+  const start = bookingDateTime.getTime();
+  const end = start + slotMinutes * 60 * 1000;
+  const booked = await bookedIntervals(shop._id, slotMinutes, start, end, exceptId);
+  if (overlapsBooked(booked, start, end)) {
+    throw new ErrorHandler("This slot has already been booked.", 409);
+  }
+
+  return { bookingDateTime, slotKey: slotKeyFor(shop._id, bookingDateTime), slotMinutes, shop };
+};
+
+// Signed link that lets the customer view, reschedule or cancel a booking
+// without an account. Bookings keep their id when rescheduled, so one link
+// stays valid for the life of the booking. Signed with BOOKING_MANAGE_SECRET,
+// never the secret used for account activation and email changes.
+const MANAGE_TOKEN_PURPOSE = "manage-booking";
+
+// undefined when no secret is configured; the emails then go out without a link
+const manageUrlFor = (booking) => {
+  const secret = process.env.BOOKING_MANAGE_SECRET;
+  if (!secret) {
+    console.error("BOOKING_MANAGE_SECRET is not configured; sending no manage link");
+    return undefined;
+  }
+
+  const token = jwt.sign(
+    { id: booking._id, purpose: MANAGE_TOKEN_PURPOSE },
+    secret,
+    { expiresIn: "180d" }
+  );
+  return `${process.env.FRONTEND_URL || "https://haochapchap-punr.vercel.app"}/bookings/manage/${token}`;
+};
+
+// booking of a manage link; jwt errors are turned into a 400 by the error middleware
+const bookingFromManageToken = async (token) => {
+  const secret = process.env.BOOKING_MANAGE_SECRET;
+  if (!secret) {
+    throw new ErrorHandler("Your url is invalid please try again letter", 400);
+  }
+
+  const { id, purpose } = jwt.verify(token, secret);
+  if (purpose !== MANAGE_TOKEN_PURPOSE) {
+    throw new ErrorHandler("Your url is invalid please try again letter", 400);
+  }
+
+  const booking = await Booking.findById(id);
+  if (!booking) {
+    throw new ErrorHandler("Booking not found", 404);
+  }
+  return booking;
+};
+
+const calendarFeedUrl = (req, token) =>
+  `${req.protocol}://${req.get("host")}${req.baseUrl}/calendar/${token}.ics`;
+
+// only upcoming, still open bookings can be changed by the customer
+const canCustomerChange = (booking) =>
+  ["Pending", "Confirmed"].includes(booking.status) && booking.bookingDateTime > new Date();
+
+// email the customer about a status change; the change is already saved, so a
+// mail failure is only logged
+const notifyCustomer = async (booking, note) => {
+  try {
+    const [product, shop] = await Promise.all([
+      Product.findById(booking.product),
+      Shop.findById(booking.shop),
+    ]);
+    const manageUrl = canCustomerChange(booking) ? manageUrlFor(booking) : undefined;
+    await sendMail(bookingStatusMail(booking, { product, shop, note, manageUrl }));
+  } catch (error) {
+    console.error(`Booking ${booking._id} status mail failed:`, error.message);
+  }
+};
+
+// tell the shop the customer changed their booking
+const notifyShop = async (booking, subject, text) => {
+  try {
+    const [product, shop] = await Promise.all([
+      Product.findById(booking.product),
+      Shop.findById(booking.shop),
+    ]);
+    if (!shop) return;
+
+    await sendMail({
+      email: shop.email,
+      subject,
+      message: `Hello ${shop.name}, ${text}${
+        product ? ` Property: ${product.name}.` : ""
+      } Customer: ${booking.name} (${booking.phone}, ${booking.email}).`,
+    });
+  } catch (error) {
+    console.error(`Booking ${booking._id} shop mail failed:`, error.message);
+  }
+};
+
+// the unique slotKey index turns a lost race into a duplicate key error
+const isSlotTaken = (error) =>
+  error.code === 11000 && error.keyPattern && error.keyPattern.slotKey;
+
+// free viewing slots of a property between two dates (YYYY-MM-DD, Nairobi time)
+router.get(
+  "/available-slots/:productId",
+  catchAsyncErrors(async (req, res, next) => {
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return next(new ErrorHandler("Property not found", 404));
+    }
+
+    const shop = await Shop.findById(product.shopId);
+    if (!shop) {
+      return next(new ErrorHandler("This property's agent is no longer available.", 404));
+    }
+
+    const today = localDateString(new Date());
+    const from = req.query.from || today;
+    const to =
+      req.query.to || localDateString(new Date(Date.now() + 6 * DAY_MS));
+
+    const fromDay = parseLocalDateTime(from, "00:00");
+    const toDay = parseLocalDateTime(to, "00:00");
+    if (!fromDay || !toDay || toDay < fromDay) {
+      return next(new ErrorHandler("from and to must be dates like 2025-03-01", 400));
+    }
+
+    if ((toDay - fromDay) / DAY_MS >= MAX_SLOT_RANGE_DAYS) {
+      return next(
+        new ErrorHandler(`Please ask for at most ${MAX_SLOT_RANGE_DAYS} days at a time`, 400)
+      );
+    }
+
+    const availability = availabilityOf(shop);
+    const booked = await bookedIntervals(
+      shop._id,
+      availability.slotMinutes,
+      fromDay.getTime(),
+      toDay.getTime() + DAY_MS
+    );
+
+    res.status(200).json({
+      success: true,
+      timezone: "Africa/Nairobi",
+      slotMinutes: availability.slotMinutes,
+      slots: freeSlots(availability, from, to, booked),
+    });
+  })
+);
 
 // Create a new booking
 router.post(
   "/create-booking",
+  loadIdentity,
   catchAsyncErrors(async (req, res, next) => {
-    const { name, email, phone, date, time, message } = req.body;
+    const { productId, date, time, message } = req.body;
+    // logged in visitors may leave out the contact details we already have
+    const name = req.body.name || (req.user && req.user.name);
+    const email = req.body.email || (req.user && req.user.email);
+    const phone =
+      req.body.phone || (req.user && req.user.phoneNumber && String(req.user.phoneNumber));
 
-    if (!name || !email || !phone || !date || !time) {
+    if (!productId || !name || !email || !phone || !date || !time) {
       return next(new ErrorHandler("All required fields must be filled.", 400));
     }
 
-    // Combine date and time into a single Date object
-    const bookingDateTime = new Date(`${date}T${time}:00`);
-    if (isNaN(bookingDateTime)) {
-      return next(new ErrorHandler("Invalid date or time format.", 400));
+    const product = await Product.findById(productId);
+    if (!product) {
+      return next(new ErrorHandler("Property not found", 404));
     }
 
-    const booking = await Booking.create({
-      name,
-      email,
-      phone,
-      bookingDateTime,
-      message,
-    });
+    // date and time are Nairobi time and must be one of the shop's free slots
+    const { bookingDateTime, slotKey, slotMinutes, shop } = await checkSlot(
+      product.shopId,
+      date,
+      time
+    );
+
+    let booking;
+    try {
+      booking = await Booking.create({
+        product: product._id,
+        shop: product.shopId,
+        user: req.user ? req.user._id : undefined,
+        name,
+        email,
+        phone,
+        bookingDateTime,
+        slotKey,
+        slotMinutes,
+        message,
+      });
+    } catch (error) {
+      if (isSlotTaken(error)) {
+        return next(new ErrorHandler("This slot has just been booked by someone else.", 409));
+      }
+      throw error;
+    }
 
-    // Send confirmation email
-    const emailOptions = {
-      email,
-      subject: "Your Appointment Confirmation – HaoChapChap",
-      message: "Thank you for booking an appointment with us!",
-      htmlMessage: `
-        <html>
-          <body style="font-family: Arial, sans-serif; background-color: #f9f9f9; padding: 20px;">
-            <div style="max-width: 600px; margin: auto; background-color: #ffffff; padding: 20px; border-radius: 8px;">
-              <h2 style="color: #2a9d8f;">Hello ${name},</h2>
-              <p>Thanks for booking with <strong>HaoChapChap</strong>. Here are the details of your appointment:</p>
-              <ul>
-                <li><strong>Phone:</strong> ${phone}</li>
-                <li><strong>Date & Time:</strong> ${bookingDateTime.toLocaleString()}</li>
-              </ul>
-              ${
-                message
-                  ? `<p><strong>Your message:</strong><br/>${message}</p>`
-                  : ""
-              }
-              <p>If we need to contact you, we will use the email or phone provided.</p>
-              <p style="margin-top: 30px;">See you soon!<br/>— HaoChapChap Team</p>
-
-              <footer style="text-align: center; font-size: 12px; color: #888; margin-top: 40px;">
-                &copy; ${new Date().getFullYear()} HaoChapChap. All rights reserved.
-              </footer>
-            </div>
-          </body>
-        </html>
-      `,
-    };
-
-    await sendMail(emailOptions);
+    // the booking is saved; a failed confirmation email is only logged
+    let emailSent = true;
+    try {
+      await sendMail(
+        bookingStatusMail(booking, { product, shop, manageUrl: manageUrlFor(booking) })
+      );
+    } catch (error) {
+      emailSent = false;
+      console.error(`Booking ${booking._id} confirmation mail failed:`, error.message);
+    }
 
     res.status(201).json({
       success: true,
       booking,
-      message: "Booking created and confirmation email sent.",
+      message: emailSent
+        ? "Booking created and confirmation email sent."
+        : "Booking created, but the confirmation email could not be sent.",
+    });
+  })
+);
+
+// view a booking from the link in the confirmation email
+router.get(
+  "/manage/:token",
+  catchAsyncErrors(async (req, res, next) => {
+    const booking = await bookingFromManageToken(req.params.token);
+    await booking.populate([
+      { path: "product", select: "name images location" },
+      { path: "shop", select: "name phoneNumber" },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      booking: {
+        _id: booking._id,
+        name: booking.name,
+        email: booking.email,
+        phone: booking.phone,
+        bookingDateTime: booking.bookingDateTime,
+        message: booking.message,
+        status: booking.status,
+        product: booking.product,
+        shop: booking.shop,
+      },
+      canChange: canCustomerChange(booking),
+    });
+  })
+);
+
+// move a booking to another free slot; the agent has to confirm the new time
+router.put(
+  "/manage/:token/reschedule",
+  catchAsyncErrors(async (req, res, next) => {
+    const booking = await bookingFromManageToken(req.params.token);
+
+    if (!canCustomerChange(booking)) {
+      return next(new ErrorHandler("This booking can no longer be changed", 400));
+    }
+
+    if (!booking.shop) {
+      return next(
+        new ErrorHandler("Please contact us to reschedule this booking", 400)
+      );
+    }
+
+    const { bookingDateTime, slotKey, slotMinutes } = await checkSlot(
+      booking.shop,
+      req.body.date,
+      req.body.time,
+      booking._id
+    );
+    const previous = booking.bookingDateTime;
+
+    booking.bookingDateTime = bookingDateTime;
+    booking.slotKey = slotKey;
+    booking.slotMinutes = slotMinutes;
+    booking.transitionTo(
+      "Pending",
+      "customer",
+      undefined,
+      `Rescheduled from ${formatViewingTime(previous)}`
+    );
+
+    try {
+      await booking.save();
+    } catch (error) {
+      if (isSlotTaken(error)) {
+        return next(new ErrorHandler("This slot has just been booked by someone else.", 409));
+      }
+      throw error;
+    }
+
+    await notifyCustomer(booking, "Your viewing has been rescheduled.");
+    await notifyShop(
+      booking,
+      "Viewing rescheduled by customer",
+      `a viewing was moved from ${formatViewingTime(previous)} to ${formatViewingTime(
+        bookingDateTime
+      )} (Nairobi time) and needs confirming.`
+    );
+
+    res.status(200).json({
+      success: true,
+      booking,
+    });
+  })
+);
+
+// cancel a booking from the link in the confirmation email
+router.put(
+  "/manage/:token/cancel",
+  catchAsyncErrors(async (req, res, next) => {
+    const booking = await bookingFromManageToken(req.params.token);
+
+    if (!canCustomerChange(booking)) {
+      return next(new ErrorHandler("This booking can no longer be changed", 400));
+    }
+
+    const reason = req.body.reason || "Cancelled by the customer";
+    booking.transitionTo("Cancelled", "customer", undefined, reason);
+    await booking.save();
+
+    await notifyCustomer(booking);
+    await notifyShop(
+      booking,
+      "Viewing cancelled by customer",
+      `the viewing on ${formatViewingTime(
+        booking.bookingDateTime
+      )} (Nairobi time) was cancelled. Reason: ${reason}.`
+    );
+
+    res.status(200).json({
+      success: true,
+      booking,
     });
   })
 );
 
-// Get all bookings (e.g., admin dashboard)
+// viewings booked by the logged in user
+router.get(
+  "/my-viewings",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    const bookings = await Booking.find({ user: req.user._id })
+      .populate("product", "name images location")
+      .populate("shop", "name phoneNumber")
+      .sort({ bookingDateTime: -1 });
+
+    res.status(200).json({ success: true, bookings });
+  })
+);
+
+// viewings of a shop's listings --- seller
+router.get(
+  "/shop-bookings",
+  isSeller,
+  catchAsyncErrors(async (req, res, next) => {
+    const filter = { shop: req.seller._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.productId) {
+      filter.product = req.query.productId;
+    }
+
+    const bookings = await Booking.find(filter)
+      .populate("product", "name images location")
+      .sort({ bookingDateTime: -1 });
+
+    res.status(200).json({ success: true, bookings });
+  })
+);
+
+// the shop's secret calendar feed URL, created on first use --- seller
+router.get(
+  "/calendar-feed",
+  isSeller,
+  catchAsyncErrors(async (req, res, next) => {
+    let shop = await Shop.findById(req.seller._id).select("+calendarToken");
+
+    if (!shop.calendarToken) {
+      // guarded on null so two first requests end up with the same token
+      await Shop.updateOne(
+        { _id: shop._id, calendarToken: null },
+        { $set: { calendarToken: crypto.randomBytes(24).toString("hex") } }
+      );
+      shop = await Shop.findById(shop._id).select("+calendarToken");
+    }
+
+    res.status(200).json({
+      success: true,
+      url: calendarFeedUrl(req, shop.calendarToken),
+    });
+  })
+);
+
+// replace the feed URL, e.g. after it was shared by mistake --- seller
+router.put(
+  "/calendar-feed/reset",
+  isSeller,
+  catchAsyncErrors(async (req, res, next) => {
+    const calendarToken = crypto.randomBytes(24).toString("hex");
+    await Shop.updateOne({ _id: req.seller._id }, { $set: { calendarToken } });
+
+    res.status(200).json({
+      success: true,
+      url: calendarFeedUrl(req, calendarToken),
+    });
+  })
+);
+
+// iCal feed of a shop's viewings for calendar apps; the token is the only auth
+router.get(
+  "/calendar/:token.ics",
+  catchAsyncErrors(async (req, res, next) => {
+    const shop = await Shop.findOne({ calendarToken: req.params.token });
+    if (!shop) {
+      return next(new ErrorHandler("Calendar not found", 404));
+    }
+
+    const bookings = await Booking.find({
+      shop: shop._id,
+      status: { $in: ["Pending", "Confirmed", "Completed"] },
+      bookingDateTime: { $gte: new Date(Date.now() - FEED_HISTORY_DAYS * DAY_MS) },
+    })
+      .populate("product", "name location")
+      .sort({ bookingDateTime: 1 });
+
+    const { slotMinutes } = availabilityOf(shop);
+    const calendar = buildCalendar({
+      name: `${shop.name} viewings`,
+      events: bookings.map((booking) =>
+        bookingEvent(booking, { product: booking.product, shop, slotMinutes, forShop: true })
+      ),
+    });
+
+    res
+      .status(200)
+      .set("Content-Type", "text/calendar; charset=utf-8")
+      .set("Cache-Control", "private, max-age=300")
+      .send(calendar);
+  })
+);
+
+// all bookings --- admin and support
 router.get(
   "/all-bookings",
+  authorize("bookings:manage"),
   catchAsyncErrors(async (req, res, next) => {
-    const bookings = await Booking.find().sort({ createdAt: -1 });
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.shop) filter.shop = req.query.shop;
+
+    const bookings = await Booking.find(filter)
+      .populate("product", "name")
+      .populate("shop", "name email phoneNumber")
+      .sort({ createdAt: -1 });
+
     res.status(200).json({ success: true, bookings });
   })
 );
 
-// PUT /booking/update-status/:id
+// move a booking through Pending -> Confirmed -> Completed / No-show, or cancel it
+// --- the shop that owns the listing, admin or support
 router.put(
   "/update-status/:id",
+  loadIdentity,
   catchAsyncErrors(async (req, res, next) => {
-    const bookingId = req.params.id;
-    const { status } = req.body;
+    const { status, note } = req.body;
+
+    if (!req.user && !req.seller) {
+      return next(new ErrorHandler("Please login to continue", 401));
+    }
 
-    const booking = await Booking.findById(bookingId);
+    const booking = await Booking.findById(req.params.id);
     if (!booking) {
       return next(new ErrorHandler("Booking not found", 404));
     }
 
-    booking.status = status;
+    const isOwner = req.seller && String(booking.shop) === String(req.seller._id);
+    const isStaff = hasPermission(rolesOf(req.user), "bookings:manage");
+    if (!isOwner && !isStaff) {
+      return next(
+        new ErrorHandler("You do not have permission to access this resource", 403)
+      );
+    }
+
+    if (!booking.canTransitionTo(status)) {
+      return next(
+        new ErrorHandler(`Cannot change a booking from ${booking.status} to ${status}`, 400)
+      );
+    }
+
+    if (status === "Cancelled" && !note) {
+      return next(new ErrorHandler("Please give a reason for the cancellation", 400));
+    }
+
+    if (["Completed", "No-show"].includes(status) && booking.bookingDateTime > new Date()) {
+      return next(new ErrorHandler("This viewing has not taken place yet", 400));
+    }
+
+    booking.transitionTo(
+      status,
+      isOwner ? "seller" : "admin",
+      isOwner ? req.seller._id : req.user._id,
+      note
+    );
     await booking.save();
 
+    await notifyCustomer(booking, note);
+
     res.status(200).json({
       success: true,
       booking,
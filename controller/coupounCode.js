@@ -2,10 +2,57 @@ const express = require("express");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const Shop = require("../model/shop");
 const ErrorHandler = require("../utils/ErrorHandler");
-const { isSeller } = require("../middleware/auth");
+const { isSeller, loadIdentity } = require("../middleware/auth");
 const CoupounCode = require("../model/coupounCode");
+const { evaluateCoupon } = require("../utils/coupon");
+const { priceCart } = require("../utils/cart");
 const router = express.Router();
 
+// fields a seller may set on a coupon; shopId and usage counters are never taken from the client
+const EDITABLE_FIELDS = [
+  "value",
+  "type",
+  "minAmount",
+  "maxAmount",
+  "selectedProduct",
+  "expiresAt",
+  "usageLimit",
+  "perUserLimit",
+];
+
+// pick and check the editable fields from a request body; returns { fields } or { error }
+const couponFieldsFrom = (body, existing = {}) => {
+  const fields = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key] === "" ? null : body[key];
+  }
+
+  const type = fields.type || existing.type || "percentage";
+  const value = fields.value !== undefined ? Number(fields.value) : existing.value;
+
+  if (!["percentage", "fixed"].includes(type)) {
+    return { error: "Coupon type must be percentage or fixed" };
+  }
+  if (!(value > 0) || (type === "percentage" && value > 100)) {
+    return {
+      error:
+        type === "percentage"
+          ? "Percentage coupons must be between 1 and 100"
+          : "Coupon value must be greater than 0",
+    };
+  }
+  if (fields.expiresAt && isNaN(new Date(fields.expiresAt))) {
+    return { error: "Invalid expiry date" };
+  }
+  for (const key of ["usageLimit", "perUserLimit"]) {
+    if (fields[key] != null && !(Number.isInteger(Number(fields[key])) && Number(fields[key]) >= 0)) {
+      return { error: `${key} must be a whole number` };
+    }
+  }
+
+  return { fields };
+};
+
 // create coupoun code
 router.post(
   "/create-coupon-code",
@@ -20,7 +67,16 @@ router.post(
         return next(new ErrorHandler("Coupoun code already exists!", 400));
       }
 
-      const coupounCode = await CoupounCode.create(req.body);
+      const { fields, error } = couponFieldsFrom(req.body);
+      if (error) {
+        return next(new ErrorHandler(error, 400));
+      }
+
+      const coupounCode = await CoupounCode.create({
+        ...fields,
+        name: req.body.name,
+        shopId: String(req.seller._id),
+      });
 
       res.status(201).json({
         success: true,
@@ -32,13 +88,70 @@ router.post(
   })
 );
 
+// update value, limits or expiry of a coupon --- owning shop only
+router.put(
+  "/update-coupon/:id",
+  isSeller,
+  catchAsyncErrors(async (req, res, next) => {
+    const couponCode = await CoupounCode.findOne({
+      _id: req.params.id,
+      shopId: String(req.seller._id),
+    });
+
+    if (!couponCode) {
+      return next(new ErrorHandler("Coupon code dosen't exists!", 404));
+    }
+
+    const { fields, error } = couponFieldsFrom(req.body, couponCode);
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+
+    couponCode.set(fields);
+    await couponCode.save();
+
+    res.status(200).json({
+      success: true,
+      couponCode,
+    });
+  })
+);
+
+// activate or deactivate a coupon without losing its history --- owning shop only
+router.put(
+  "/update-coupon-status/:id",
+  isSeller,
+  catchAsyncErrors(async (req, res, next) => {
+    // form posts send "true" / "false" as strings
+    const { isActive } = req.body;
+    if (![true, false, "true", "false"].includes(isActive)) {
+      return next(new ErrorHandler("isActive must be true or false", 400));
+    }
+
+    const couponCode = await CoupounCode.findOneAndUpdate(
+      { _id: req.params.id, shopId: String(req.seller._id) },
+      { isActive: isActive === true || isActive === "true" },
+      { new: true }
+    );
+
+    if (!couponCode) {
+      return next(new ErrorHandler("Coupon code dosen't exists!", 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      couponCode,
+    });
+  })
+);
+
 // get all coupons of a shop
 router.get(
   "/get-coupon/:id",
   isSeller,
   catchAsyncErrors(async (req, res, next) => {
     try {
-      const couponCodes = await CoupounCode.find({ shopId: req.seller.id });
+      const couponCodes = await CoupounCode.find({ shopId: String(req.seller._id) });
       res.status(201).json({
         success: true,
         couponCodes,
@@ -55,11 +168,26 @@ router.delete(
   isSeller,
   catchAsyncErrors(async (req, res, next) => {
     try {
-      const couponCode = await CoupounCode.findByIdAndDelete(req.params.id);
+      const couponCode = await CoupounCode.findOne({
+        _id: req.params.id,
+        shopId: String(req.seller._id),
+      });
 
       if (!couponCode) {
         return next(new ErrorHandler("Coupon code dosen't exists!", 400));
       }
+
+      // keep the redemption history of used coupons; they can be deactivated instead
+      if (couponCode.usedCount > 0) {
+        return next(
+          new ErrorHandler(
+            "This coupon has been used and cannot be deleted. Deactivate it instead.",
+            400
+          )
+        );
+      }
+
+      await CoupounCode.findByIdAndDelete(couponCode._id);
       res.status(201).json({
         success: true,
         message: "Coupon code deleted successfully!",
@@ -87,4 +215,50 @@ router.get(
   })
 );
 
+// check a coupon against a cart and return the discount it would give
+router.post(
+  "/validate",
+  loadIdentity,
+  catchAsyncErrors(async (req, res, next) => {
+    const { name, cart } = req.body;
+
+    // a string only, so query operators like {"$ne": null} can't probe for codes
+    if (!name || typeof name !== "string") {
+      return next(new ErrorHandler("Please provide a coupon code", 400));
+    }
+
+    const items = await priceCart(cart);
+    const coupon = await CoupounCode.findOne({ name });
+
+    const result = await evaluateCoupon(
+      coupon,
+      items,
+      req.user ? req.user._id : undefined
+    );
+
+    if (result.error) {
+      return res.status(200).json({
+        success: true,
+        valid: false,
+        code: result.code,
+        reason: result.error,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      valid: true,
+      coupon: {
+        name: coupon.name,
+        type: coupon.type,
+        value: coupon.value,
+        shopId: coupon.shopId,
+        expiresAt: coupon.expiresAt,
+      },
+      eligibleAmount: result.eligibleAmount,
+      discount: result.discount,
+    });
+  })
+);
+
 module.exports = router;
@@ -3,7 +3,7 @@ const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const Shop = require("../model/shop");
 const Event = require("../model/event");
 const ErrorHandler = require("../utils/ErrorHandler");
-const { isSeller, isAdmin, isAuthenticated } = require("../middleware/auth");
+const { authorize } = require("../middleware/auth");
 const router = express.Router();
 const cloudinary = require("cloudinary");
 
@@ -117,8 +117,7 @@ router.delete(
 // all events --- for admin
 router.get(
   "/admin-all-events",
-  isAuthenticated,
-  isAdmin("Admin"),
+  authorize("listings:read"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const events = await Event.find().sort({
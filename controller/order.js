@@ -0,0 +1,401 @@
+const express = require("express");
+const router = express.Router();
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const ErrorHandler = require("../utils/ErrorHandler");
+const { isAuthenticated, isSeller, authorize } = require("../middleware/auth");
+const Order = require("../model/order");
+const Product = require("../model/product");
+const Shop = require("../model/shop");
+const Payment = require("../model/payment");
+const CoupounCode = require("../model/coupounCode");
+const CouponRedemption = require("../model/couponRedemption");
+const {
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCouponRedemption,
+} = require("../utils/coupon");
+const { priceCart } = require("../utils/cart");
+const { normalisePhoneNumber } = require("../utils/daraja");
+const { initiateStkPayment } = require("../utils/payments");
+const { notifyStatusChange } = require("../utils/orderMail");
+
+// short reference shown on the customer's M-Pesa prompt and statement
+const accountReferenceFor = (orders) =>
+  `ORD${String(orders[0]._id).slice(-8).toUpperCase()}`;
+
+// push an STK request for a set of orders and link them to the payment
+const payForOrders = async (orders, phoneNumber, userId) => {
+  const amount = orders.reduce((sum, order) => sum + order.totalPrice, 0);
+
+  const { payment } = await initiateStkPayment({
+    amount,
+    phoneNumber,
+    accountReference: accountReferenceFor(orders),
+    description: "Order payment",
+    user: userId,
+    orders: orders.map((order) => order._id),
+  });
+
+  await Order.updateMany(
+    { _id: { $in: payment.orders } },
+    { $set: { payment: payment._id } }
+  );
+
+  return payment;
+};
+
+// put the items of a cancelled, already paid order back on sale
+const restockOrder = async (order) => {
+  for (const item of order.cart) {
+    await Product.updateOne(
+      { _id: item.product },
+      { $inc: { stock: item.quantity, sold_out: -item.quantity } }
+    );
+  }
+};
+
+// checkout a cart --- prices come from the database, never from the client
+router.post(
+  "/checkout",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    const { cart, couponCode, phoneNumber } = req.body;
+
+    const phone = normalisePhoneNumber(phoneNumber || req.user.phoneNumber);
+    if (!phone) {
+      return next(new ErrorHandler("Please provide a valid Safaricom phone number", 400));
+    }
+
+    const items = await priceCart(cart);
+
+    if (couponCode && typeof couponCode !== "string") {
+      return next(new ErrorHandler("Please provide a valid coupon code", 400));
+    }
+
+    let coupon = null;
+    let couponDiscount = 0;
+    if (couponCode) {
+      coupon = await CoupounCode.findOne({ name: couponCode });
+
+      const result = await evaluateCoupon(coupon, items, req.user._id);
+      if (result.error) {
+        return next(new ErrorHandler(result.error, 400));
+      }
+      couponDiscount = result.discount;
+    }
+
+    // one order per shop
+    const itemsByShop = new Map();
+    for (const item of items) {
+      const key = String(item.shopId);
+      if (!itemsByShop.has(key)) itemsByShop.set(key, []);
+      itemsByShop.get(key).push(item);
+    }
+
+    const orderData = [];
+    for (const [shopId, shopItems] of itemsByShop) {
+      const subtotal = shopItems.reduce(
+        (sum, item) => sum + item.price * item.quantity,
+        0
+      );
+      const appliesCoupon = coupon && String(coupon.shopId) === shopId;
+      const discount = appliesCoupon ? couponDiscount : 0;
+
+      orderData.push({
+        cart: shopItems.map((item) => ({
+          product: item.productId,
+          name: item.name,
+          price: item.price,
+          quantity: item.quantity,
+          image: item.image,
+        })),
+        user: req.user._id,
+        shop: shopId,
+        subtotal,
+        discount,
+        totalPrice: subtotal - discount,
+        coupon: appliesCoupon ? { name: coupon.name, value: coupon.value } : undefined,
+      });
+    }
+
+    const total = orderData.reduce((sum, order) => sum + order.totalPrice, 0);
+    if (total < 1) {
+      return next(new ErrorHandler("Order total must be at least 1", 400));
+    }
+
+    const orders = await Order.create(orderData);
+    const orderIds = orders.map((o) => o._id);
+
+    // a failed redemption or push leaves nothing behind; the buyer simply checks out again
+    let payment;
+    try {
+      if (coupon) {
+        const couponOrders = orders.filter((o) => o.coupon && o.coupon.name);
+        await redeemCoupon(coupon, req.user._id, couponOrders, couponDiscount);
+      }
+      payment = await payForOrders(orders, phone, req.user._id);
+    } catch (error) {
+      await releaseCouponRedemption(orderIds);
+      await Order.deleteMany({ _id: { $in: orderIds } });
+      return next(error);
+    }
+
+    res.status(201).json({
+      success: true,
+      orders: await Order.find({ _id: { $in: payment.orders } }),
+      payment: {
+        checkoutRequestId: payment.checkoutRequestId,
+        amount: payment.amount,
+        status: payment.status,
+      },
+    });
+  })
+);
+
+// retry payment for an order (and its sibling orders from the same checkout)
+router.post(
+  "/pay/:id",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    const order = await Order.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!order) {
+      return next(new ErrorHandler("Order not found", 404));
+    }
+
+    if (order.status !== "Awaiting Payment") {
+      return next(new ErrorHandler("This order has already been paid", 400));
+    }
+
+    const previous = await Payment.findById(order.payment);
+    if (previous && previous.status === "Pending") {
+      return next(
+        new ErrorHandler("A payment for this order is still in progress", 409)
+      );
+    }
+
+    const orders = await Order.find({
+      payment: order.payment,
+      user: req.user._id,
+      status: "Awaiting Payment",
+    });
+
+    const phone = normalisePhoneNumber(req.body.phoneNumber || req.user.phoneNumber);
+    if (!phone) {
+      return next(new ErrorHandler("Please provide a valid Safaricom phone number", 400));
+    }
+
+    // a failed earlier push gave the coupon use back; take it again
+    const couponOrders = orders.filter((o) => o.coupon && o.coupon.name);
+    let reRedeemed = false;
+    if (
+      couponOrders.length > 0 &&
+      !(await CouponRedemption.exists({ orders: { $in: couponOrders.map((o) => o._id) } }))
+    ) {
+      const coupon = await CoupounCode.findOne({ name: couponOrders[0].coupon.name });
+      const discount = couponOrders.reduce((sum, o) => sum + o.discount, 0);
+      if (!coupon) {
+        return next(
+          new ErrorHandler(
+            "The coupon on this order no longer exists, please check out again",
+            400
+          )
+        );
+      }
+      await redeemCoupon(coupon, req.user._id, couponOrders, discount);
+      reRedeemed = true;
+    }
+
+    let payment;
+    try {
+      payment = await payForOrders(orders, phone, req.user._id);
+    } catch (error) {
+      if (reRedeemed) {
+        await releaseCouponRedemption(couponOrders.map((o) => o._id));
+      }
+      return next(error);
+    }
+
+    res.status(201).json({
+      success: true,
+      orders: await Order.find({ _id: { $in: payment.orders } }),
+      payment: {
+        checkoutRequestId: payment.checkoutRequestId,
+        amount: payment.amount,
+        status: payment.status,
+      },
+    });
+  })
+);
+
+// all orders of the logged in buyer
+router.get(
+  "/my-orders",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    const orders = await Order.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      orders,
+    });
+  })
+);
+
+// single order of the logged in buyer
+router.get(
+  "/my-orders/:id",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    const order = await Order.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!order) {
+      return next(new ErrorHandler("Order not found", 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      order,
+    });
+  })
+);
+
+// buyer cancels an order that has not been paid yet
+router.put(
+  "/cancel-order/:id",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    const order = await Order.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!order) {
+      return next(new ErrorHandler("Order not found", 404));
+    }
+
+    if (order.status !== "Awaiting Payment") {
+      return next(
+        new ErrorHandler("Paid orders can only be cancelled by the seller", 400)
+      );
+    }
+
+    const payment = await Payment.findById(order.payment);
+    if (payment && payment.status === "Pending") {
+      return next(
+        new ErrorHandler("A payment for this order is still in progress", 409)
+      );
+    }
+
+    order.transitionTo("Cancelled", "buyer", req.body.note);
+    await order.save();
+
+    // an unpaid order never used its coupon
+    await releaseCouponRedemption([order._id]);
+
+    await notifyStatusChange(order, "buyer", req.body.note);
+
+    res.status(200).json({
+      success: true,
+      order,
+    });
+  })
+);
+
+// all orders of a shop --- seller
+router.get(
+  "/shop-orders",
+  isSeller,
+  catchAsyncErrors(async (req, res, next) => {
+    const filter = { shop: req.seller._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const orders = await Order.find(filter)
+      .populate("user", "name email phoneNumber")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      orders,
+    });
+  })
+);
+
+// move an order through Processing -> Confirmed -> Handed over / Cancelled --- seller
+router.put(
+  "/update-order-status/:id",
+  isSeller,
+  catchAsyncErrors(async (req, res, next) => {
+    const { status, note } = req.body;
+
+    const order = await Order.findOne({ _id: req.params.id, shop: req.seller._id });
+
+    if (!order) {
+      return next(new ErrorHandler("Order not found with this id", 404));
+    }
+
+    if (order.status === "Awaiting Payment") {
+      return next(new ErrorHandler("This order has not been paid yet", 400));
+    }
+
+    if (!order.canTransitionTo(status)) {
+      return next(
+        new ErrorHandler(`Cannot change an order from ${order.status} to ${status}`, 400)
+      );
+    }
+
+    order.transitionTo(status, "seller", note);
+    await order.save();
+
+    if (status === "Cancelled") {
+      await restockOrder(order);
+
+      // the shop was credited when the order was paid; take back whatever has
+      // not been refunded yet so it cannot be withdrawn before the buyer is paid back
+      const unrefunded = order.totalPrice - order.refundedAmount;
+      if (unrefunded > 0) {
+        await Shop.updateOne(
+          { _id: order.shop },
+          { $inc: { availableBalance: -unrefunded } }
+        );
+      }
+    }
+
+    await notifyStatusChange(order, "seller", note);
+
+    res.status(200).json({
+      success: true,
+      order,
+    });
+  })
+);
+
+// all orders --- for admin
+router.get(
+  "/admin-all-orders",
+  authorize("orders:read"),
+  catchAsyncErrors(async (req, res, next) => {
+    const filter = {};
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    // paid orders cancelled by the seller that the buyer has not fully got back yet
+    if (req.query.needsRefund === "true") {
+      filter.status = "Cancelled";
+      filter.paidAt = { $exists: true };
+      filter.$expr = { $lt: ["$refundedAmount", "$totalPrice"] };
+    }
+
+    const orders = await Order.find(filter)
+      .populate("user", "name email phoneNumber")
+      .populate("shop", "name email phoneNumber")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      orders,
+    });
+  })
+);
+
+module.exports = router;
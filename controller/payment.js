@@ -1,104 +1,192 @@
 const express = require("express");
 const router = express.Router();
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
-const axios = require("axios");
+const ErrorHandler = require("../utils/ErrorHandler");
+const Payment = require("../model/payment");
+const { loadIdentity } = require("../middleware/auth");
+const { rolesOf, hasPermission } = require("../utils/permissions");
+const { normalisePhoneNumber, hasCallbackToken } = require("../utils/daraja");
+const {
+  initiateStkPayment,
+  settleFromCallback,
+  queryPendingPayment,
+  sweepPendingPayments,
+} = require("../utils/payments");
 require('dotenv').config();
 
-// Function to get the access token
-const getAccessToken = async () => {
-  const apiUrl = 'https://api.safaricom.co.ke/oauth/v1/generate?grant_type=client_credentials';
-  const auth = Buffer.from(`${process.env.MPESA_CONSUMER_KEY}:${process.env.MPESA_CONSUMER_SECRET}`).toString('base64');
+// M-Pesa Payment Route (Instead of Stripe)
+router.post(
+  "/process",
+  loadIdentity,
+  catchAsyncErrors(async (req, res, next) => {
+    const { amount, phoneNumber, accountNumber, description } = req.body;
 
-  try {
-    const response = await axios.get(apiUrl, {
-      headers: {
-        'Authorization': `Basic ${auth}`,
-      },
-    });
-    return response.data.access_token;
-  } catch (error) {
-    console.error('Error getting access token:', error);
-    return null;
-  }
-};
-
-// Function to initiate STK Push payment
-const initiatePayment = async (amount, phoneNumber, accountNumber) => {
-  const token = await getAccessToken();
-  if (!token) {
-    console.error('Failed to obtain access token');
-    return;
-  }
-
-  const url = 'https://api.safaricom.co.ke/mpesa/stkpush/v1/processrequest';
-  const payload = {
-    BusinessShortcode: process.env.MPESA_SHORTCODE,
-    LipaNaMpesaOnlineShortcode: process.env.MPESA_LIPA_SHORTCODE,
-    LipaNaMpesaOnlineShortcodeSecret: process.env.MPESA_LIPA_SHORTCODE_SECRET,
-    PhoneNumber: phoneNumber,
-    Amount: amount,
-    AccountReference: accountNumber,
-    PartyA: phoneNumber,
-    PartyB: process.env.MPESA_PAYBILL,
-    Remarks: 'Payment for order #12345',
-    CallBackURL: 'http://localhost:5173',  // Your callback URL to get the payment status
-    Shortcode: process.env.MPESA_SHORTCODE,
-    Passkey: process.env.MPESA_PASSKEY,
-    TransactionType: 'PayBill',
-    TransactionID: Date.now(),  // Unique ID for transaction
-  };
-
-  try {
-    const response = await axios.post(url, payload, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json',
-      },
+    const phone = normalisePhoneNumber(phoneNumber);
+    if (!phone) {
+      return next(new ErrorHandler("Please provide a valid Safaricom phone number", 400));
+    }
+
+    if (!(Number(amount) >= 1)) {
+      return next(new ErrorHandler("Amount must be at least 1", 400));
+    }
+
+    // Initiate the payment via M-Pesa; failures surface as a 502 MpesaError
+    const { payment, response: paymentResponse } = await initiateStkPayment({
+      amount: Number(amount),
+      phoneNumber: phone,
+      accountReference: accountNumber,
+      description,
+      user: req.user ? req.user._id : undefined,
+      shop: req.seller ? req.seller._id : undefined,
     });
 
-    return response.data;
-  } catch (error) {
-    console.error('Error initiating payment:', error);
-    return null;
-  }
-};
+    res.status(200).json({
+      success: true,
+      message: "Payment initiated successfully",
+      data: paymentResponse,
+      payment,
+    });
+  })
+);
 
-// M-Pesa Payment Route (Instead of Stripe)
+// Callback route to handle payment status updates from M-Pesa
 router.post(
-  "/process",
+  "/callback",
   catchAsyncErrors(async (req, res, next) => {
-    const { amount, phoneNumber, accountNumber } = req.body;
+    // only Safaricom knows the token in MPESA_CALLBACK_URL
+    if (!hasCallbackToken(req, "MPESA_CALLBACK_URL")) {
+      return next(new ErrorHandler("Not authorized", 401));
+    }
 
-    // Initiate the payment via M-Pesa
-    const paymentResponse = await initiatePayment(amount, phoneNumber, accountNumber);
+    const stkCallback = req.body && req.body.Body && req.body.Body.stkCallback;
 
-    if (paymentResponse) {
-      res.status(200).json({
-        success: true,
-        message: "Payment initiated successfully",
-        data: paymentResponse,
-      });
+    if (!stkCallback || !stkCallback.CheckoutRequestID) {
+      console.error("Malformed M-Pesa callback:", JSON.stringify(req.body));
     } else {
-      res.status(500).json({
-        success: false,
-        message: "Payment initiation failed",
-      });
+      // Safaricom may retry a callback; only the first one settles the payment
+      const payment = await settleFromCallback(
+        stkCallback.CheckoutRequestID,
+        stkCallback
+      );
+
+      if (!payment) {
+        const exists = await Payment.exists({
+          checkoutRequestId: stkCallback.CheckoutRequestID,
+        });
+        if (!exists) {
+          console.error(
+            `M-Pesa callback for unknown CheckoutRequestID ${stkCallback.CheckoutRequestID}`
+          );
+        }
+      }
     }
+
+    // Always acknowledge, otherwise Safaricom keeps retrying
+    res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" });
   })
 );
 
-// Callback route to handle payment status updates from M-Pesa
+// Public view of a payment for the frontend
+const paymentStatus = (payment) => ({
+  checkoutRequestId: payment.checkoutRequestId,
+  amount: payment.amount,
+  accountReference: payment.accountReference,
+  status: payment.status,
+  resultCode: payment.resultCode,
+  resultDesc: payment.resultDesc,
+  mpesaReceiptNumber: payment.mpesaReceiptNumber,
+  paidAt: payment.paidAt,
+});
+
+// Poll the status of a payment by its CheckoutRequestID
+router.get(
+  "/status/:checkoutRequestId",
+  catchAsyncErrors(async (req, res, next) => {
+    const payment = await Payment.findOne({
+      checkoutRequestId: req.params.checkoutRequestId,
+    });
+
+    if (!payment) {
+      return next(new ErrorHandler("Payment not found", 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      payment: paymentStatus(payment),
+    });
+  })
+);
+
+// each Daraja query uses our credentials, so a payment is queried at most this often
+const QUERY_INTERVAL_MS = 15 * 1000;
+
+// Ask Daraja directly for a payment whose callback has not arrived
+// --- the paying user or shop, or staff
 router.post(
-  "/callback",
+  "/query/:checkoutRequestId",
+  loadIdentity,
+  catchAsyncErrors(async (req, res, next) => {
+    if (!req.user && !req.seller) {
+      return next(new ErrorHandler("Please login to continue", 401));
+    }
+
+    const payment = await Payment.findOne({
+      checkoutRequestId: req.params.checkoutRequestId,
+    });
+
+    if (!payment) {
+      return next(new ErrorHandler("Payment not found", 404));
+    }
+
+    const isPayer =
+      (req.user && payment.user && String(payment.user) === String(req.user._id)) ||
+      (req.seller && payment.shop && String(payment.shop) === String(req.seller._id));
+    if (!isPayer && !hasPermission(rolesOf(req.user), "payments:read")) {
+      return next(
+        new ErrorHandler("You do not have permission to access this resource", 403)
+      );
+    }
+
+    // claim the query slot atomically; within the interval just return the stored status
+    const claimed = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        status: "Pending",
+        $or: [
+          { lastQueriedAt: null },
+          { lastQueriedAt: { $lte: new Date(Date.now() - QUERY_INTERVAL_MS) } },
+        ],
+      },
+      { $set: { lastQueriedAt: new Date() } },
+      { new: true }
+    );
+
+    const updated = claimed ? await queryPendingPayment(claimed) : payment;
+
+    res.status(200).json({
+      success: true,
+      payment: paymentStatus(updated),
+    });
+  })
+);
+
+// Settle stale pending payments --- called by a scheduler (e.g. Vercel Cron)
+router.get(
+  "/sweep-pending",
   catchAsyncErrors(async (req, res, next) => {
-    const paymentDetails = req.body;
-    console.log('Payment Callback:', paymentDetails);
+    const secret = process.env.CRON_SECRET;
+    if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+      return next(new ErrorHandler("Not authorized", 401));
+    }
 
-    // Handle the payment status (success/failure)
-    // Here, you can update the order status in your database
+    const summary = await sweepPendingPayments(
+      Number(process.env.MPESA_QUERY_AFTER_SECONDS) || 60
+    );
 
-    // Send a response back to M-Pesa to acknowledge receipt of the callback
-    res.status(200).send('OK');
+    res.status(200).json({
+      success: true,
+      summary,
+    });
   })
 );
 
@@ -1,13 +1,22 @@
 const express = require("express");
 const multer = require("multer");
-const { isSeller, isAuthenticated, isAdmin } = require("../middleware/auth");
+const { isSeller, isAuthenticated, authorize } = require("../middleware/auth");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const ErrorHandler = require("../utils/ErrorHandler");
 const Product = require("../model/product");
 const Booking = require("../model/booking");
 const Shop = require("../model/shop");
+const Order = require("../model/order");
+const Event = require("../model/event");
+const User = require("../model/user");
 const cloudinary = require("cloudinary").v2;
 const mongoose = require("mongoose");
+const {
+  buildProductFilter,
+  buildProductSort,
+} = require("../utils/productSearch");
+const parsePagination = require("../utils/pagination");
+const { parseGeoPoint, parseBoundingBox } = require("../utils/geo");
 
 const router = express.Router();
 
@@ -27,6 +36,58 @@ const upload = multer({
   },
 });
 
+// Parse images/videos (accept stringified JSON from frontend)
+const parseMediaArray = (media) => {
+  if (!media) return [];
+  if (typeof media === "string") {
+    try {
+      return JSON.parse(media);
+    } catch {
+      return [];
+    }
+  }
+  if (Array.isArray(media)) return media;
+  return [];
+};
+
+// Parse property attributes (object or stringified JSON from frontend)
+const parseAttributes = (attributes) => {
+  if (typeof attributes === "string") {
+    try {
+      attributes = JSON.parse(attributes);
+    } catch {
+      throw new ErrorHandler("Invalid property attributes format", 400);
+    }
+  }
+  if (attributes === null || typeof attributes !== "object" || Array.isArray(attributes)) {
+    throw new ErrorHandler("Invalid property attributes format", 400);
+  }
+  if (typeof attributes.amenities === "string") {
+    attributes.amenities = attributes.amenities.split(",").filter((a) => a.trim());
+  }
+  return attributes;
+};
+
+// Is any of these Cloudinary public_ids already used by another listing, event
+// or avatar? Media ids are visible publicly, so a seller could otherwise attach
+// someone else's asset and then delete it through removeMedia.
+const mediaInUse = async (publicIds, exceptProductId) => {
+  if (publicIds.length === 0) return false;
+  const ids = { $in: publicIds };
+
+  const [product, event, shop, user] = await Promise.all([
+    Product.exists({
+      _id: { $ne: exceptProductId },
+      $or: [{ "images.public_id": ids }, { "videos.public_id": ids }],
+    }),
+    Event.exists({ "images.public_id": ids }),
+    Shop.exists({ "avatar.public_id": ids }),
+    User.exists({ "avatar.public_id": ids }),
+  ]);
+
+  return Boolean(product || event || shop || user);
+};
+
 // ========== Media Upload Route ==========
 // POST /upload-media
 // Accepts multipart/form-data with "media" field (array of files)
@@ -103,7 +164,18 @@ router.post(
   "/create-product",
   isSeller,
   catchAsyncErrors(async (req, res, next) => {
-    const { shopId, images, videos, location, details, ...rest } = req.body;
+    const {
+      shopId,
+      images,
+      videos,
+      location,
+      details,
+      latitude,
+      longitude,
+      geoLocation,
+      attributes,
+      ...rest
+    } = req.body;
 
     if (!location || location.trim() === "") {
       return next(new ErrorHandler("Product location is required", 400));
@@ -118,20 +190,6 @@ router.post(
       return next(new ErrorHandler("Invalid Shop ID", 400));
     }
 
-    // Parse images/videos (accept stringified JSON from frontend)
-    const parseMediaArray = (media) => {
-      if (!media) return [];
-      if (typeof media === "string") {
-        try {
-          return JSON.parse(media);
-        } catch {
-          return [];
-        }
-      }
-      if (Array.isArray(media)) return media;
-      return [];
-    };
-
     const imagesLinks = parseMediaArray(images);
     const videoLinks = parseMediaArray(videos);
 
@@ -147,10 +205,16 @@ router.post(
       }
     }
 
+    if (await mediaInUse([...imagesLinks, ...videoLinks].map((m) => m.public_id))) {
+      return next(new ErrorHandler("Some of this media belongs to another listing", 400));
+    }
+
     const productData = {
       ...rest,
       location,
       details: Array.isArray(details) ? details : [],
+      geoLocation: parseGeoPoint({ latitude, longitude }) || undefined,
+      attributes: attributes === undefined ? undefined : parseAttributes(attributes),
       images: imagesLinks,
       videos: videoLinks,
       shopId,
@@ -168,6 +232,131 @@ router.post(
   })
 );
 
+// ========== Update Product Route ==========
+// PUT /update-product/:id
+// Updates listing fields and media of the seller's own product:
+//   newImages / newVideos: arrays of { public_id, url } from /upload-media
+//   removeMedia: public_ids to delete (also destroyed on Cloudinary)
+//   imageOrder: public_ids in the desired order; the first one is the cover photo
+router.put(
+  "/update-product/:id",
+  isSeller,
+  catchAsyncErrors(async (req, res, next) => {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return next(new ErrorHandler("Product not found with this id", 404));
+    }
+
+    if (String(product.shopId) !== String(req.seller._id)) {
+      return next(new ErrorHandler("You can only edit your own products", 403));
+    }
+
+    const updatableFields = [
+      "name",
+      "description",
+      "category",
+      "tags",
+      "location",
+      "originalPrice",
+      "discountPrice",
+      "stock",
+    ];
+    for (const field of updatableFields) {
+      if (req.body[field] !== undefined) {
+        product[field] = req.body[field];
+      }
+    }
+
+    if (req.body.location !== undefined && String(req.body.location).trim() === "") {
+      return next(new ErrorHandler("Product location is required", 400));
+    }
+
+    if (req.body.details !== undefined) {
+      product.details = Array.isArray(req.body.details) ? req.body.details : [];
+    }
+
+    // attributes are merged; send a key as null to clear it
+    if (req.body.attributes !== undefined) {
+      const current = product.attributes ? product.attributes.toObject() : {};
+      const merged = { ...current, ...parseAttributes(req.body.attributes) };
+      // drop cleared keys instead of storing null, which the validators reject
+      for (const key of Object.keys(merged)) {
+        if (merged[key] === null) delete merged[key];
+      }
+      product.attributes = merged;
+    }
+
+    const point = parseGeoPoint(req.body);
+    if (point !== undefined) {
+      product.geoLocation = point || undefined;
+    }
+
+    const newImages = parseMediaArray(req.body.newImages);
+    const newVideos = parseMediaArray(req.body.newVideos);
+    for (const media of [...newImages, ...newVideos]) {
+      if (typeof media.public_id !== "string" || !media.public_id || !media.url) {
+        return next(new ErrorHandler("Invalid media data format", 400));
+      }
+    }
+
+    const newIds = [...newImages, ...newVideos].map((media) => media.public_id);
+    if (await mediaInUse(newIds, product._id)) {
+      return next(new ErrorHandler("Some of this media belongs to another listing", 400));
+    }
+
+    const removeIds = new Set(parseMediaArray(req.body.removeMedia));
+    const removedImages = product.images.filter((img) => removeIds.has(img.public_id));
+    const removedVideos = product.videos.filter((vid) => removeIds.has(vid.public_id));
+
+    const images = [
+      ...product.images.filter((img) => !removeIds.has(img.public_id)),
+      ...newImages.map(({ public_id, url }) => ({ public_id, url })),
+    ];
+    const videos = [
+      ...product.videos.filter((vid) => !removeIds.has(vid.public_id)),
+      ...newVideos.map(({ public_id, url }) => ({ public_id, url })),
+    ];
+
+    // images listed in imageOrder come first, the rest keep their current order
+    const imageOrder = parseMediaArray(req.body.imageOrder);
+    if (imageOrder.length > 0) {
+      const position = (img) => {
+        const index = imageOrder.indexOf(img.public_id);
+        return index === -1 ? imageOrder.length : index;
+      };
+      images.sort((a, b) => position(a) - position(b));
+    }
+
+    product.images = images;
+    product.videos = videos;
+
+    await product.save();
+
+    // only destroy old media once the product no longer points at it
+    for (const image of removedImages) {
+      try {
+        await cloudinary.uploader.destroy(image.public_id);
+      } catch (err) {
+        console.error("Failed to delete image:", err);
+      }
+    }
+
+    for (const video of removedVideos) {
+      try {
+        await cloudinary.uploader.destroy(video.public_id, { resource_type: "video" });
+      } catch (err) {
+        console.error("Failed to delete video:", err);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      product,
+    });
+  })
+);
+
 // ========== Get All Products of a Shop ==========
 router.get(
   "/get-all-products-shop/:id",
@@ -225,31 +414,216 @@ router.delete(
 
 
 // ========== Get All Products ==========
+// GET /get-all-products?keyword=&category=&location=&minPrice=&maxPrice=
+//     &minRating=&listingType=&rentPeriod=&minBedrooms=&maxBedrooms=&minBathrooms=
+//     &furnishing=&minPlotSize=&maxPlotSize=&amenities=pool,parking&sort=newest|oldest|price_asc|price_desc|popularity|rating|relevance
+//     &page=&limit=
 router.get(
   "/get-all-products",
   catchAsyncErrors(async (req, res, next) => {
-    try {
-      const products = await Product.find().sort({ createdAt: -1 });
+    const filter = buildProductFilter(req.query);
+    const sort = buildProductSort(req.query);
+    const { page, limit, skip } = parsePagination(req.query);
 
-      res.status(200).json({
-        success: true,
-        products,
-      });
-    } catch (error) {
-      return next(new ErrorHandler(error.message, 400));
+    const projection = filter.$text ? { score: { $meta: "textScore" } } : {};
+
+    const [products, total] = await Promise.all([
+      Product.find(filter, projection).sort(sort).skip(skip).limit(limit),
+      Product.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      products,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+    });
+  })
+);
+
+// ========== Geospatial Product Search ==========
+// GET /search-nearby?lat=&lng=&radius=<km>     listings within radius of a point
+// GET /search-nearby?bbox=minLng,minLat,maxLng,maxLat   listings inside a map view
+// Accepts the same filters, sort and paging as /get-all-products.
+// Each product carries `distance` in km from the point (or the centre of the box).
+router.get(
+  "/search-nearby",
+  catchAsyncErrors(async (req, res, next) => {
+    const { lat, lng, bbox } = req.query;
+    const filter = buildProductFilter(req.query, { textSearch: false });
+    const { page, limit, skip } = parsePagination(req.query);
+
+    let near;
+    let maxDistance;
+    if (bbox) {
+      const box = parseBoundingBox(bbox);
+      const [[minLng, minLat], , [maxLng, maxLat]] = box.coordinates[0];
+      near = {
+        type: "Point",
+        coordinates: [(minLng + maxLng) / 2, (minLat + maxLat) / 2],
+      };
+      filter.geoLocation = { $geoWithin: { $geometry: box } };
+    } else {
+      near = parseGeoPoint({ latitude: lat, longitude: lng });
+      if (!near) {
+        return next(new ErrorHandler("Please provide lat and lng, or a bbox", 400));
+      }
+
+      const radius = req.query.radius === undefined ? 5 : Number(req.query.radius);
+      if (!(radius > 0 && radius <= 100)) {
+        return next(new ErrorHandler("radius must be between 0 and 100 km", 400));
+      }
+      maxDistance = radius * 1000;
     }
+
+    // $geoNear already orders by distance; only re-sort when asked to
+    const sortStages =
+      req.query.sort && req.query.sort !== "distance"
+        ? [{ $sort: buildProductSort({ sort: req.query.sort }) }]
+        : [];
+
+    const [result] = await Product.aggregate([
+      {
+        $geoNear: {
+          near,
+          key: "geoLocation",
+          distanceField: "distance",
+          distanceMultiplier: 0.001,
+          spherical: true,
+          query: filter,
+          ...(maxDistance ? { maxDistance } : {}),
+        },
+      },
+      ...sortStages,
+      {
+        $facet: {
+          products: [{ $skip: skip }, { $limit: limit }],
+          total: [{ $count: "count" }],
+        },
+      },
+    ]);
+
+    const total = result.total.length ? result.total[0].count : 0;
+
+    res.status(200).json({
+      success: true,
+      products: result.products,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+    });
   })
 );
 
 // ========== Create New Review ==========
+// Only users who have viewed the listing or have a paid order for it may review it
+const canReviewProduct = async (userId, productId) => {
+  const [viewed, ordered] = await Promise.all([
+    Booking.exists({ user: userId, product: productId, status: "Completed" }),
+    Order.exists({
+      user: userId,
+      "cart.product": productId,
+      status: { $in: ["Processing", "Confirmed", "Handed over"] },
+    }),
+  ]);
+  return Boolean(viewed || ordered);
+};
+
+// PUT /create-new-review
+// Adds the user's review of a listing, or updates it if they already left one
+router.put(
+  "/create-new-review",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    const { productId, comment } = req.body;
+    const rating = Number(req.body.rating);
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return next(new ErrorHandler("Rating must be a whole number between 1 and 5", 400));
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return next(new ErrorHandler("Product not found", 404));
+    }
+
+    if (!(await canReviewProduct(req.user._id, product._id))) {
+      return next(
+        new ErrorHandler("You can only review listings you have viewed or ordered", 403)
+      );
+    }
+
+    const existing = product.reviews.find(
+      (review) => String(review.user) === String(req.user._id)
+    );
+
+    if (existing) {
+      existing.rating = rating;
+      existing.comment = comment;
+      existing.updatedAt = new Date();
+    } else {
+      product.reviews.push({
+        user: req.user._id,
+        rating,
+        comment,
+        productId: product._id,
+      });
+    }
+
+    product.updateRatings();
+    await product.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Reviewed successfully!",
+      ratings: product.ratings,
+      reviews: product.reviews,
+    });
+  })
+);
+
+// PUT /reply-review/:productId/:reviewId --- owning shop answers a review
+router.put(
+  "/reply-review/:productId/:reviewId",
+  isSeller,
+  catchAsyncErrors(async (req, res, next) => {
+    const { comment } = req.body;
 
+    if (!comment || comment.trim() === "") {
+      return next(new ErrorHandler("Reply cannot be empty", 400));
+    }
+
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return next(new ErrorHandler("Product not found", 404));
+    }
 
+    if (String(product.shopId) !== String(req.seller._id)) {
+      return next(new ErrorHandler("You can only reply to reviews of your own products", 403));
+    }
+
+    const review = product.reviews.id(req.params.reviewId);
+    if (!review) {
+      return next(new ErrorHandler("Review not found", 404));
+    }
+
+    review.reply = { comment: comment.trim(), createdAt: new Date() };
+    await product.save();
+
+    res.status(200).json({
+      success: true,
+      review,
+    });
+  })
+);
 
 // ========== Admin - Get All Products ==========
 router.get(
   "/admin-all-products",
-  isAuthenticated,
-  isAdmin("Admin"),
+  authorize("listings:read"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const products = await Product.find().sort({ createdAt: -1 });
@@ -264,12 +638,37 @@ router.get(
   })
 );
 
+// ========== Admin - Delete A Review ==========
+router.delete(
+  "/admin-delete-review/:productId/:reviewId",
+  authorize("reviews:moderate"),
+  catchAsyncErrors(async (req, res, next) => {
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return next(new ErrorHandler("Product not found", 404));
+    }
+
+    const review = product.reviews.id(req.params.reviewId);
+    if (!review) {
+      return next(new ErrorHandler("Review not found", 404));
+    }
+
+    review.deleteOne();
+    product.updateRatings();
+    await product.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Review removed successfully!",
+      ratings: product.ratings,
+    });
+  })
+);
+
 // ========== Admin - Delete Any Product ==========
 router.delete(
   "/delete-product/:id",
-  isAuthenticated,
-  isAdmin("Admin"),
-  isSeller,
+  authorize("listings:delete"),
   catchAsyncErrors(async (req, res, next) => {
     const product = await Product.findById(req.params.id);
 
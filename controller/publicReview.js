@@ -1,12 +1,31 @@
 const express = require("express");
+const crypto = require("crypto");
 const router = express.Router();
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const ErrorHandler = require("../utils/ErrorHandler");
+const parsePagination = require("../utils/pagination");
+const { authorize, loadIdentity } = require("../middleware/auth");
 const PublicReview = require("../model/publicReview");
+const PublicReviewVote = require("../model/publicReviewVote");
+
+// at most this many submissions per visitor per window
+const SUBMISSION_LIMIT = 3;
+const SUBMISSION_WINDOW_MS = 60 * 60 * 1000;
+
+// reviews submitted before moderation existed have no status and stay public
+const APPROVED = { status: { $in: ["approved", null] } };
+
+// we only need to recognise repeat visitors, so never store the raw IP
+const hashIp = (ip) =>
+  crypto
+    .createHash("sha256")
+    .update(`${ip}:${process.env.JWT_SECRET_KEY}`)
+    .digest("hex");
 
 // POST route to submit review
 router.post(
   "/public",
+  loadIdentity,
   catchAsyncErrors(async (req, res, next) => {
     const { rating, comment, name } = req.body;
 
@@ -18,29 +37,85 @@ router.post(
       return next(new ErrorHandler("Rating must be a number between 1 and 5", 400));
     }
 
+    const ipHash = hashIp(req.ip);
+    const submitter = [{ ipHash }];
+    if (req.user) submitter.push({ user: req.user._id });
+
+    const recent = await PublicReview.countDocuments({
+      $or: submitter,
+      createdAt: { $gte: new Date(Date.now() - SUBMISSION_WINDOW_MS) },
+    });
+
+    if (recent >= SUBMISSION_LIMIT) {
+      return next(
+        new ErrorHandler("Too many reviews submitted. Please try again later.", 429)
+      );
+    }
+
     await PublicReview.create({
       name,
       rating,
       comment,
+      user: req.user ? req.user._id : undefined,
+      ipHash,
       createdAt: new Date(),
     });
 
-    res.status(201).json({ success: true, message: "Thank you for your review!" });
+    res.status(201).json({
+      success: true,
+      message: "Thank you for your review! It will appear once approved.",
+    });
   })
 );
 
-// ✅ GET route to fetch all reviews
+// ✅ GET route to fetch approved reviews with a rating summary
 router.get(
   "/get-all-reviews",
   catchAsyncErrors(async (req, res, next) => {
-    const reviews = await PublicReview.find().sort({ createdAt: -1 });
-    res.status(200).json({ success: true, reviews });
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = APPROVED;
+
+    const [reviews, breakdown] = await Promise.all([
+      PublicReview.find(filter)
+        .select("-moderatedBy -moderationNote -user")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      PublicReview.aggregate([
+        { $match: filter },
+        { $group: { _id: "$rating", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const counts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let total = 0;
+    let sum = 0;
+    for (const { _id: rating, count } of breakdown) {
+      const star = Math.min(5, Math.max(1, Math.round(rating)));
+      counts[star] += count;
+      total += count;
+      sum += rating * count;
+    }
+
+    res.status(200).json({
+      success: true,
+      reviews,
+      summary: {
+        average: total ? Math.round((sum / total) * 10) / 10 : 0,
+        total,
+        counts,
+      },
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+    });
   })
 );
 
-// POST /vote-helpful to record helpful/unhelpful votes
+// POST /vote-helpful to record helpful/unhelpful votes (one per visitor, can be changed)
 router.post(
   "/vote-helpful",
+  loadIdentity,
   catchAsyncErrors(async (req, res, next) => {
     const { reviewId, vote } = req.body;
 
@@ -48,22 +123,123 @@ router.post(
       return next(new ErrorHandler("Invalid vote data", 400));
     }
 
-    const review = await PublicReview.findById(reviewId);
+    const review = await PublicReview.findOne({ _id: reviewId, ...APPROVED });
     if (!review) {
       return next(new ErrorHandler("Review not found", 404));
     }
 
-    if (vote === "up") {
-      review.helpfulUp = (review.helpfulUp || 0) + 1;
-    } else if (vote === "down") {
-      review.helpfulDown = (review.helpfulDown || 0) + 1;
+    const voterKey = req.user ? `user:${req.user._id}` : `ip:${hashIp(req.ip)}`;
+    const field = (v) => (v === "up" ? "helpfulUp" : "helpfulDown");
+
+    const existing = await PublicReviewVote.findOne({ review: review._id, voterKey });
+    let inc = null;
+
+    if (!existing) {
+      try {
+        await PublicReviewVote.create({ review: review._id, voterKey, vote });
+        inc = { [field(vote)]: 1 };
+      } catch (error) {
+        // a parallel request from the same voter got there first
+        if (error.code !== 11000) throw error;
+      }
+    } else if (existing.vote !== vote) {
+      const switched = await PublicReviewVote.findOneAndUpdate(
+        { _id: existing._id, vote: existing.vote },
+        { vote }
+      );
+      if (switched) {
+        inc = { [field(existing.vote)]: -1, [field(vote)]: 1 };
+      }
+    }
+
+    const updated = inc
+      ? await PublicReview.findByIdAndUpdate(review._id, { $inc: inc }, { new: true })
+      : review;
+
+    res.status(200).json({
+      success: true,
+      message: inc ? "Vote recorded" : "You have already voted on this review",
+      helpfulUp: updated.helpfulUp,
+      helpfulDown: updated.helpfulDown,
+    });
+  })
+);
+
+// moderation queue --- admin
+router.get(
+  "/admin-reviews",
+  authorize("reviews:moderate"),
+  catchAsyncErrors(async (req, res, next) => {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { status: req.query.status || "pending" };
+
+    const [reviews, total] = await Promise.all([
+      PublicReview.find(filter).sort({ createdAt: 1 }).skip(skip).limit(limit),
+      PublicReview.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      reviews,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+    });
+  })
+);
+
+// approve or reject a review --- admin
+router.put(
+  "/moderate/:id",
+  authorize("reviews:moderate"),
+  catchAsyncErrors(async (req, res, next) => {
+    const { status, note } = req.body;
+
+    if (!["approved", "rejected"].includes(status)) {
+      return next(new ErrorHandler("Status must be approved or rejected", 400));
     }
 
-    await review.save();
+    const review = await PublicReview.findByIdAndUpdate(
+      req.params.id,
+      {
+        status,
+        moderationNote: note,
+        moderatedBy: req.user._id,
+        moderatedAt: new Date(),
+      },
+      { new: true }
+    );
+
+    if (!review) {
+      return next(new ErrorHandler("Review not found", 404));
+    }
 
-    res.status(200).json({ success: true, message: "Vote recorded", helpfulUp: review.helpfulUp, helpfulDown: review.helpfulDown });
+    res.status(200).json({
+      success: true,
+      review,
+    });
   })
 );
 
+// delete a review and its votes --- admin
+router.delete(
+  "/admin-delete/:id",
+  authorize("reviews:moderate"),
+  catchAsyncErrors(async (req, res, next) => {
+    const review = await PublicReview.findByIdAndDelete(req.params.id);
+
+    if (!review) {
+      return next(new ErrorHandler("Review not found", 404));
+    }
+
+    await PublicReviewVote.deleteMany({ review: review._id });
+
+    res.status(200).json({
+      success: true,
+      message: "Review deleted successfully",
+    });
+  })
+);
 
 module.exports = router;
@@ -0,0 +1,338 @@
+const express = require("express");
+const router = express.Router();
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const ErrorHandler = require("../utils/ErrorHandler");
+const { authorize } = require("../middleware/auth");
+const Refund = require("../model/refund");
+const RefundResult = require("../model/refundResult");
+const Payment = require("../model/payment");
+const Order = require("../model/order");
+const Shop = require("../model/shop");
+const {
+  b2cPayment,
+  reverseTransaction,
+  hasCallbackToken,
+} = require("../utils/daraja");
+
+// give back what createRefund reserved once a refund ends without paying out
+const releaseRefund = async (refund) => {
+  await Payment.updateOne(
+    { _id: refund.payment },
+    { $inc: { refundedAmount: -refund.amount } }
+  );
+
+  let order = null;
+  if (refund.order) {
+    order = await Order.findOneAndUpdate(
+      { _id: refund.order },
+      { $inc: { refundedAmount: -refund.amount } }
+    );
+  }
+
+  // a seller cancel already took the unrefunded amount back from the shop
+  if (refund.shop && !(order && order.status === "Cancelled")) {
+    await Shop.updateOne(
+      { _id: refund.shop },
+      { $inc: { availableBalance: refund.amount } }
+    );
+  }
+};
+
+// move a pending refund to its final status; only the first result counts
+const finishRefund = async (filter, update) => {
+  const refund = await Refund.findOneAndUpdate(
+    { ...filter, status: "Pending" },
+    { $set: update },
+    { new: true }
+  );
+
+  if (refund && refund.status !== "Completed") {
+    await releaseRefund(refund);
+  }
+
+  return refund;
+};
+
+// match a Daraja result to its refund; never match on a missing id
+const conversationFilter = (result) => {
+  const or = [];
+  if (result.ConversationID) or.push({ conversationId: result.ConversationID });
+  if (result.OriginatorConversationID) {
+    or.push({ originatorConversationId: result.OriginatorConversationID });
+  }
+  return or.length > 0 ? { $or: or } : null;
+};
+
+// Apply a Daraja result or timeout to its refund. A result can arrive before
+// create-refund has saved the conversation ids; keep it for create-refund then.
+const applyResult = async (result, update) => {
+  const filter = conversationFilter(result);
+
+  const refund = await finishRefund(filter, update);
+  if (refund) return refund;
+
+  if (await Refund.exists(filter)) {
+    console.error(
+      `M-Pesa refund result for already settled ConversationID ${result.ConversationID}`
+    );
+    return null;
+  }
+
+  const early = await RefundResult.create({
+    conversationId: result.ConversationID,
+    originatorConversationId: result.OriginatorConversationID,
+    update,
+  });
+
+  // the ids may have been saved while the result was being stored
+  const late = await finishRefund(filter, update);
+  if (late || (await Refund.exists(filter))) {
+    await RefundResult.deleteOne({ _id: early._id });
+    return late;
+  }
+
+  console.error(
+    `M-Pesa refund result for unknown ConversationID ${result.ConversationID} kept for reconciliation`
+  );
+  return null;
+};
+
+// refund (part of) a paid M-Pesa payment --- admin
+router.post(
+  "/create-refund",
+  authorize("refunds:create"),
+  catchAsyncErrors(async (req, res, next) => {
+    const { paymentId, orderId, reason } = req.body;
+
+    if (!reason) {
+      return next(new ErrorHandler("Please provide a reason for the refund", 400));
+    }
+
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      return next(new ErrorHandler("Payment not found", 404));
+    }
+
+    if (payment.status !== "Paid") {
+      return next(new ErrorHandler("Only paid payments can be refunded", 400));
+    }
+
+    // order payments are refunded per order so the right shop is debited
+    let order = null;
+    if (payment.orders.length > 0) {
+      if (!orderId || !payment.orders.some((id) => String(id) === String(orderId))) {
+        return next(
+          new ErrorHandler("Please choose which order of this payment to refund", 400)
+        );
+      }
+      order = await Order.findById(orderId);
+      if (!order) {
+        return next(new ErrorHandler("Order not found", 404));
+      }
+    }
+
+    // never more than is left of the payment, nor of the order being refunded
+    const remaining = Math.min(
+      payment.amount - payment.refundedAmount,
+      order ? order.totalPrice - order.refundedAmount : Infinity
+    );
+    const amount = Math.round(Number(req.body.amount) || remaining);
+
+    if (!(amount >= 1) || amount > remaining) {
+      return next(
+        new ErrorHandler(`Refund amount must be between 1 and ${remaining}`, 400)
+      );
+    }
+
+    // a full refund reverses the original transaction when there is a receipt
+    // to reverse, anything else is paid back via B2C
+    const method =
+      req.body.method ||
+      (amount === payment.amount && payment.mpesaReceiptNumber ? "Reversal" : "B2C");
+
+    if (!["Reversal", "B2C"].includes(method)) {
+      return next(new ErrorHandler("Refund method must be Reversal or B2C", 400));
+    }
+
+    if (method === "Reversal" && !payment.mpesaReceiptNumber) {
+      return next(
+        new ErrorHandler("This payment has no M-Pesa receipt to reverse", 400)
+      );
+    }
+
+    // reserve the amount atomically so concurrent refunds cannot exceed the payment
+    const reserved = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        status: "Paid",
+        refundedAmount: { $lte: payment.amount - amount },
+      },
+      { $inc: { refundedAmount: amount } },
+      { new: true }
+    );
+
+    if (!reserved) {
+      return next(
+        new ErrorHandler("This payment has already been refunded", 409)
+      );
+    }
+
+    if (order) {
+      const orderReserved = await Order.findOneAndUpdate(
+        { _id: order._id, refundedAmount: { $lte: order.totalPrice - amount } },
+        { $inc: { refundedAmount: amount } }
+      );
+
+      if (!orderReserved) {
+        await Payment.updateOne(
+          { _id: payment._id },
+          { $inc: { refundedAmount: -amount } }
+        );
+        return next(new ErrorHandler("This order has already been refunded", 409));
+      }
+    }
+
+    const refund = await Refund.create({
+      payment: payment._id,
+      order: order ? order._id : undefined,
+      // a cancelled order's shop was already debited when the seller cancelled it
+      shop: order && order.status !== "Cancelled" ? order.shop : undefined,
+      amount,
+      reason,
+      method,
+      phoneNumber: payment.phoneNumber,
+      requestedBy: req.user._id,
+    });
+
+    if (refund.shop) {
+      await Shop.updateOne(
+        { _id: refund.shop },
+        { $inc: { availableBalance: -amount } }
+      );
+    }
+
+    let response;
+    try {
+      const remarks = `Refund ${String(refund._id).slice(-8).toUpperCase()}`;
+      response =
+        method === "Reversal"
+          ? await reverseTransaction({
+              transactionId: payment.mpesaReceiptNumber,
+              amount,
+              remarks,
+              occasion: reason,
+            })
+          : await b2cPayment({
+              amount,
+              phoneNumber: payment.phoneNumber,
+              remarks,
+              occasion: reason,
+            });
+    } catch (error) {
+      await finishRefund(
+        { _id: refund._id },
+        { status: "Failed", resultDesc: error.message }
+      );
+      return next(error);
+    }
+
+    // an atomic update so a result that is already being applied is not overwritten
+    let saved = await Refund.findOneAndUpdate(
+      { _id: refund._id },
+      {
+        $set: {
+          conversationId: response.ConversationID,
+          originatorConversationId: response.OriginatorConversationID,
+        },
+      },
+      { new: true }
+    );
+
+    // the result may have come back before the ids were saved
+    const filter = conversationFilter(response);
+    const early = filter && (await RefundResult.findOneAndDelete(filter));
+    if (early) {
+      saved = (await finishRefund({ _id: refund._id }, early.update)) || saved;
+    }
+
+    res.status(201).json({
+      success: true,
+      refund: saved,
+    });
+  })
+);
+
+// Daraja result callback for B2C payments and reversals
+router.post(
+  "/result",
+  catchAsyncErrors(async (req, res, next) => {
+    // only Safaricom knows the token in MPESA_REFUND_RESULT_URL
+    if (!hasCallbackToken(req, "MPESA_REFUND_RESULT_URL")) {
+      return next(new ErrorHandler("Not authorized", 401));
+    }
+
+    const result = req.body && req.body.Result;
+
+    if (!result || !conversationFilter(result)) {
+      console.error("Malformed M-Pesa refund result:", JSON.stringify(req.body));
+    } else {
+      const resultCode = Number(result.ResultCode);
+
+      await applyResult(result, {
+        status: resultCode === 0 ? "Completed" : "Failed",
+        resultCode,
+        resultDesc: result.ResultDesc,
+        transactionId: result.TransactionID,
+        completedAt: resultCode === 0 ? new Date() : undefined,
+      });
+    }
+
+    res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" });
+  })
+);
+
+// Daraja queue timeout callback for B2C payments and reversals
+router.post(
+  "/timeout",
+  catchAsyncErrors(async (req, res, next) => {
+    if (!hasCallbackToken(req, "MPESA_REFUND_TIMEOUT_URL")) {
+      return next(new ErrorHandler("Not authorized", 401));
+    }
+
+    const result = (req.body && req.body.Result) || req.body || {};
+
+    if (conversationFilter(result)) {
+      await applyResult(result, {
+        status: "Timed out",
+        resultDesc: result.ResultDesc || "Request timed out in the M-Pesa queue",
+      });
+    } else {
+      console.error("Malformed M-Pesa refund timeout:", JSON.stringify(req.body));
+    }
+
+    res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" });
+  })
+);
+
+// all refunds --- for admin
+router.get(
+  "/admin-all-refunds",
+  authorize("refunds:read"),
+  catchAsyncErrors(async (req, res, next) => {
+    const filter = {};
+    if (req.query.payment) filter.payment = req.query.payment;
+    if (req.query.status) filter.status = req.query.status;
+
+    const refunds = await Refund.find(filter)
+      .populate("payment", "checkoutRequestId amount mpesaReceiptNumber phoneNumber")
+      .populate("shop", "name email")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      refunds,
+    });
+  })
+);
+
+module.exports = router;
@@ -1,14 +1,27 @@
 const express = require("express");
+const crypto = require("crypto");
 const path = require("path");
 const router = express.Router();
 const jwt = require("jsonwebtoken");
 const sendMail = require("../utils/sendMail");
 const Shop = require("../model/shop");
-const { isAuthenticated, isSeller, isAdmin } = require("../middleware/auth");
+const { isSeller, authorize, getBearerToken } = require("../middleware/auth");
 const cloudinary = require("cloudinary");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const ErrorHandler = require("../utils/ErrorHandler");
 const sendShopToken = require("../utils/shopToken");
+const {
+  hashToken,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  sendSessionTokens,
+  clearSessionCookies,
+} = require("../utils/sessions");
+const { availabilityOf, parseAvailability } = require("../utils/availability");
+const Product = require("../model/product");
+const Event = require("../model/event");
+const CoupounCode = require("../model/coupounCode");
 
 // create shop
 router.post("/create-shop", catchAsyncErrors(async (req, res, next) => {
@@ -100,7 +113,7 @@ router.post(
         phoneNumber,
       });
 
-      sendShopToken(seller, 201, res);
+      await sendShopToken(seller, 201, res, req);
     } catch (error) {
       return next(new ErrorHandler(error.message, 500));
     }
@@ -132,13 +145,99 @@ router.post(
         );
       }
 
-      sendShopToken(user, 201, res);
+      await sendShopToken(user, 201, res, req);
     } catch (error) {
       return next(new ErrorHandler(error.message, 500));
     }
   })
 );
 
+// forgot password --- emails a single-use reset link
+router.post(
+  "/forgot-password",
+  catchAsyncErrors(async (req, res, next) => {
+    const { email } = req.body;
+
+    // a string only, so query operators like {"$ne": null} can't pick an account
+    if (!email || typeof email !== "string") {
+      return next(new ErrorHandler("Please provide your email address", 400));
+    }
+
+    const shop = await Shop.findOne({ email });
+
+    // same answer whether or not the email is registered
+    const message = `If ${email} belongs to a shop, a password reset link has been sent to it.`;
+
+    if (!shop) {
+      return res.status(200).json({ success: true, message });
+    }
+
+    const resetToken = shop.getResetPasswordToken();
+    await shop.save({ validateBeforeSave: false });
+
+    const resetUrl = `${process.env.FRONTEND_URL || "https://haochapchap-punr.vercel.app"}/seller/reset-password/${resetToken}`;
+
+    try {
+      await sendMail({
+        email: shop.email,
+        subject: "Reset your password",
+        message: `Hello ${shop.name}, please click on the link to reset your password: ${resetUrl}\n\nThe link expires in 15 minutes. If you did not ask for this, you can ignore this email.`,
+      });
+    } catch (error) {
+      shop.resetPasswordToken = undefined;
+      shop.resetPasswordTime = undefined;
+      await shop.save({ validateBeforeSave: false });
+      return next(new ErrorHandler(error.message, 500));
+    }
+
+    res.status(200).json({ success: true, message });
+  })
+);
+
+// reset password with the token from the email
+router.put(
+  "/reset-password/:token",
+  catchAsyncErrors(async (req, res, next) => {
+    const { password, confirmPassword } = req.body;
+
+    const resetPasswordToken = crypto
+      .createHash("sha256")
+      .update(req.params.token)
+      .digest("hex");
+
+    const shop = await Shop.findOne({
+      resetPasswordToken,
+      resetPasswordTime: { $gt: Date.now() },
+    });
+
+    if (!shop) {
+      return next(
+        new ErrorHandler("Reset password link is invalid or has expired", 400)
+      );
+    }
+
+    if (!password || password !== confirmPassword) {
+      return next(
+        new ErrorHandler("Password doesn't matched with each other!", 400)
+      );
+    }
+
+    shop.password = password;
+    shop.resetPasswordToken = undefined;
+    shop.resetPasswordTime = undefined;
+
+    await shop.save();
+
+    // whoever knew the old password is logged out everywhere
+    await revokeAllSessions("Shop", shop._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Password reset successfully! Please log in with your new password.",
+    });
+  })
+);
+
 // load shop
 router.get(
   "/getSeller",
@@ -166,12 +265,18 @@ router.get(
   "/logout",
   catchAsyncErrors(async (req, res, next) => {
     try {
-      res.cookie("seller_token", null, {
-        expires: new Date(Date.now()),
-        httpOnly: true,
-        sameSite: "none",
-        secure: true,
-      });
+      // end this device's session: by refresh token, else by the access token's sid
+      const refreshToken = req.cookies.seller_refresh_token || req.body.refreshToken;
+      if (refreshToken) {
+        await revokeSession({ tokenHash: hashToken(refreshToken), accountType: "Shop" });
+      } else {
+        const decoded = jwt.decode(getBearerToken(req) || req.cookies.seller_token || "");
+        if (decoded && decoded.sid) {
+          await revokeSession({ _id: decoded.sid, accountType: "Shop" });
+        }
+      }
+
+      clearSessionCookies("Shop", res);
       res.status(201).json({
         success: true,
         message: "Log out successful!",
@@ -182,6 +287,40 @@ router.get(
   })
 );
 
+// exchange a refresh token for a new access token (and a new refresh token)
+router.post(
+  "/refresh-token",
+  catchAsyncErrors(async (req, res, next) => {
+    const { session, refreshToken } = await rotateSession(
+      req.cookies.seller_refresh_token || req.body.refreshToken,
+      "Shop"
+    );
+
+    const seller = await Shop.findById(session.account);
+    if (!seller) {
+      await revokeSession({ _id: session._id });
+      return next(new ErrorHandler("User doesn't exists", 401));
+    }
+
+    sendSessionTokens(seller, "Shop", session, refreshToken, 200, res);
+  })
+);
+
+// log out of all devices
+router.get(
+  "/logout-all-devices",
+  isSeller,
+  catchAsyncErrors(async (req, res, next) => {
+    await revokeAllSessions("Shop", req.seller._id);
+
+    clearSessionCookies("Shop", res);
+    res.status(200).json({
+      success: true,
+      message: "Logged out of all devices!",
+    });
+  })
+);
+
 // get shop info
 router.get(
   "/get-shop-info/:id",
@@ -265,11 +404,265 @@ router.put(
   })
 );
 
+// set weekly viewing hours, blackout dates and slot length --- seller
+router.put(
+  "/update-availability",
+  isSeller,
+  catchAsyncErrors(async (req, res, next) => {
+    const availability = parseAvailability(req.body);
+
+    const update = {};
+    for (const [key, value] of Object.entries(availability)) {
+      update[`availability.${key}`] = value;
+    }
+
+    const shop = await Shop.findByIdAndUpdate(
+      req.seller._id,
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      availability: availabilityOf(shop),
+    });
+  })
+);
+
+// update shop password
+router.put(
+  "/update-shop-password",
+  isSeller,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const shop = await Shop.findById(req.seller._id).select("+password");
+
+      const isPasswordMatched = await shop.comparePassword(req.body.oldPassword);
+
+      if (!isPasswordMatched) {
+        return next(new ErrorHandler("Old password is incorrect!", 400));
+      }
+
+      if (req.body.newPassword !== req.body.confirmPassword) {
+        return next(
+          new ErrorHandler("Password doesn't matched with each other!", 400)
+        );
+      }
+      shop.password = req.body.newPassword;
+
+      await shop.save();
+
+      // keep this device logged in, end every other session
+      await revokeAllSessions("Shop", shop._id, req.sessionId);
+
+      res.status(200).json({
+        success: true,
+        message: "Password updated successfully!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// email change links are signed with EMAIL_CHANGE_SECRET and carry this purpose
+const EMAIL_CHANGE_PURPOSE = "shop-email-change";
+
+// short digest of the password hash, so a password change voids pending links
+const passwordFingerprint = (shop) =>
+  crypto.createHash("sha256").update(shop.password).digest("hex").slice(0, 16);
+
+// request a login email change --- the new address must be verified first
+router.put(
+  "/update-shop-email",
+  isSeller,
+  catchAsyncErrors(async (req, res, next) => {
+    const { email, password } = req.body;
+
+    if (!email || !password || typeof email !== "string") {
+      return next(new ErrorHandler("Please provide the all fields!", 400));
+    }
+
+    const secret = process.env.EMAIL_CHANGE_SECRET;
+    if (!secret) {
+      return next(new ErrorHandler("Email changes are not configured", 500));
+    }
+
+    const shop = await Shop.findById(req.seller._id).select("+password");
+
+    const isPasswordValid = await shop.comparePassword(password);
+    if (!isPasswordValid) {
+      return next(new ErrorHandler("Password is incorrect!", 400));
+    }
+
+    if (email === shop.email) {
+      return next(new ErrorHandler("This is already your email address", 400));
+    }
+
+    const emailTaken = await Shop.findOne({ email });
+    if (emailTaken) {
+      return next(new ErrorHandler("User already exists", 400));
+    }
+
+    // single use: only valid while the shop still has the old email and password
+    const verificationToken = jwt.sign(
+      {
+        id: shop._id,
+        email,
+        oldEmail: shop.email,
+        password: passwordFingerprint(shop),
+        purpose: EMAIL_CHANGE_PURPOSE,
+      },
+      secret,
+      { expiresIn: "30m" }
+    );
+
+    const verificationUrl = `${process.env.FRONTEND_URL || "https://haochapchap-punr.vercel.app"}/seller/verify-email/${verificationToken}`;
+
+    try {
+      await sendMail({
+        email,
+        subject: "Confirm your new shop email",
+        message: `Hello ${shop.name}, please click on the link to confirm ${email} as your shop's login email: ${verificationUrl}`,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `please check your email:- ${email} to confirm the change!`,
+    });
+  })
+);
+
+// confirm a login email change with the token from the email
+router.post(
+  "/verify-email-change",
+  catchAsyncErrors(async (req, res, next) => {
+    const { token } = req.body;
+
+    const secret = process.env.EMAIL_CHANGE_SECRET;
+    if (!secret || typeof token !== "string") {
+      return next(new ErrorHandler("Your url is invalid please try again letter", 400));
+    }
+
+    const { id, email, oldEmail, password, purpose } = jwt.verify(token, secret);
+    if (purpose !== EMAIL_CHANGE_PURPOSE) {
+      return next(new ErrorHandler("Your url is invalid please try again letter", 400));
+    }
+
+    const shop = await Shop.findById(id).select("+password");
+    if (!shop) {
+      return next(new ErrorHandler("User doesn't exists", 400));
+    }
+
+    // spent once the change applied, void after a later email or password change
+    if (shop.email !== oldEmail || passwordFingerprint(shop) !== password) {
+      return next(
+        new ErrorHandler("This link has already been used or is no longer valid", 400)
+      );
+    }
+
+    const emailTaken = await Shop.findOne({ email, _id: { $ne: shop._id } });
+    if (emailTaken) {
+      return next(new ErrorHandler("User already exists", 400));
+    }
+
+    const previousEmail = shop.email;
+    const updated = await Shop.findOneAndUpdate(
+      { _id: shop._id, email: oldEmail },
+      { $set: { email } },
+      { new: true }
+    );
+    if (!updated) {
+      return next(
+        new ErrorHandler("This link has already been used or is no longer valid", 400)
+      );
+    }
+
+    // let the old address know, in case the change was not theirs
+    try {
+      await sendMail({
+        email: previousEmail,
+        subject: "Your shop email was changed",
+        message: `Hello ${shop.name}, the login email of your shop was changed to ${email}. If this wasn't you, please contact support immediately.`,
+      });
+    } catch (error) {
+      console.error("Email change notice failed:", error.message);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Email updated successfully!",
+      seller: updated,
+    });
+  })
+);
+
+// delete own shop account with its products, events, coupons and media --- seller
+router.delete(
+  "/delete-shop-account",
+  isSeller,
+  catchAsyncErrors(async (req, res, next) => {
+    const shop = await Shop.findById(req.seller._id).select("+password");
+
+    const isPasswordValid = await shop.comparePassword(req.body.password || "");
+    if (!isPasswordValid) {
+      return next(new ErrorHandler("Password is incorrect!", 400));
+    }
+
+    // media clean-up is best effort; a missing Cloudinary asset must not block deletion
+    const destroyMedia = async (publicId, options) => {
+      if (!publicId) return;
+      try {
+        await cloudinary.v2.uploader.destroy(publicId, options);
+      } catch (err) {
+        console.error("Failed to delete media:", err);
+      }
+    };
+
+    const products = await Product.find({ shopId: shop._id });
+    for (const product of products) {
+      for (const image of product.images) {
+        await destroyMedia(image.public_id);
+      }
+      for (const video of product.videos || []) {
+        await destroyMedia(video.public_id, { resource_type: "video" });
+      }
+    }
+
+    const events = await Event.find({ shopId: String(shop._id) });
+    for (const event of events) {
+      for (const image of event.images) {
+        await destroyMedia(image.public_id);
+      }
+    }
+
+    await destroyMedia(shop.avatar && shop.avatar.public_id);
+
+    await Promise.all([
+      Product.deleteMany({ shopId: shop._id }),
+      Event.deleteMany({ shopId: String(shop._id) }),
+      CoupounCode.deleteMany({ shopId: String(shop._id) }),
+    ]);
+
+    await Shop.findByIdAndDelete(shop._id);
+    await revokeAllSessions("Shop", shop._id);
+
+    clearSessionCookies("Shop", res);
+
+    res.status(200).json({
+      success: true,
+      message: "Shop account deleted successfully!",
+    });
+  })
+);
+
 // all sellers --- for admin
 router.get(
   "/admin-all-sellers",
-  isAuthenticated,
-  isAdmin("Admin"),
+  authorize("sellers:read"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const sellers = await Shop.find().sort({
@@ -288,8 +681,7 @@ router.get(
 // delete seller ---admin
 router.delete(
   "/delete-seller/:id",
-  isAuthenticated,
-  isAdmin("Admin"),
+  authorize("sellers:delete"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const seller = await Shop.findById(req.params.id);
@@ -1,4 +1,5 @@
 const express = require("express");
+const crypto = require("crypto");
 const User = require("../model/user");
 const router = express.Router();
 const cloudinary = require("cloudinary");
@@ -7,7 +8,20 @@ const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const jwt = require("jsonwebtoken");
 const sendMail = require("../utils/sendMail");
 const sendToken = require("../utils/jwtToken");
-const { isAuthenticated, isAdmin } = require("../middleware/auth");
+const {
+  hashToken,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  sendSessionTokens,
+  clearSessionCookies,
+} = require("../utils/sessions");
+const { GRANTABLE_ROLES, rolesOf } = require("../utils/permissions");
+const {
+  isAuthenticated,
+  authorize,
+  getBearerToken,
+} = require("../middleware/auth");
 
 // create user
 router.post("/create-user", async (req, res, next) => {
@@ -92,7 +106,7 @@ router.post(
         password,
       });
 
-      sendToken(user, 201, res);
+      await sendToken(user, 201, res, req);
     } catch (error) {
       return next(new ErrorHandler(error.message, 500));
     }
@@ -124,10 +138,96 @@ router.post(
         );
       }
 
-      sendToken(user, 201, res);
+      await sendToken(user, 201, res, req);
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// forgot password --- emails a single-use reset link
+router.post(
+  "/forgot-password",
+  catchAsyncErrors(async (req, res, next) => {
+    const { email } = req.body;
+
+    // a string only, so query operators like {"$ne": null} can't pick an account
+    if (!email || typeof email !== "string") {
+      return next(new ErrorHandler("Please provide your email address", 400));
+    }
+
+    const user = await User.findOne({ email });
+
+    // same answer whether or not the email is registered
+    const message = `If ${email} belongs to an account, a password reset link has been sent to it.`;
+
+    if (!user) {
+      return res.status(200).json({ success: true, message });
+    }
+
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = `${process.env.FRONTEND_URL || "https://haochapchap-punr.vercel.app"}/reset-password/${resetToken}`;
+
+    try {
+      await sendMail({
+        email: user.email,
+        subject: "Reset your password",
+        message: `Hello ${user.name}, please click on the link to reset your password: ${resetUrl}\n\nThe link expires in 15 minutes. If you did not ask for this, you can ignore this email.`,
+      });
     } catch (error) {
+      user.resetPasswordToken = undefined;
+      user.resetPasswordTime = undefined;
+      await user.save({ validateBeforeSave: false });
       return next(new ErrorHandler(error.message, 500));
     }
+
+    res.status(200).json({ success: true, message });
+  })
+);
+
+// reset password with the token from the email
+router.put(
+  "/reset-password/:token",
+  catchAsyncErrors(async (req, res, next) => {
+    const { password, confirmPassword } = req.body;
+
+    const resetPasswordToken = crypto
+      .createHash("sha256")
+      .update(req.params.token)
+      .digest("hex");
+
+    const user = await User.findOne({
+      resetPasswordToken,
+      resetPasswordTime: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return next(
+        new ErrorHandler("Reset password link is invalid or has expired", 400)
+      );
+    }
+
+    if (!password || password !== confirmPassword) {
+      return next(
+        new ErrorHandler("Password doesn't matched with each other!", 400)
+      );
+    }
+
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordTime = undefined;
+
+    await user.save();
+
+    // whoever knew the old password is logged out everywhere
+    await revokeAllSessions("User", user._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Password reset successfully! Please log in with your new password.",
+    });
   })
 );
 
@@ -158,12 +258,18 @@ router.get(
   "/logout",
   catchAsyncErrors(async (req, res, next) => {
     try {
-      res.cookie("token", null, {
-        expires: new Date(Date.now()),
-        httpOnly: true,
-        sameSite: "none",
-        secure: true,
-      });
+      // end this device's session: by refresh token, else by the access token's sid
+      const refreshToken = req.cookies.refresh_token || req.body.refreshToken;
+      if (refreshToken) {
+        await revokeSession({ tokenHash: hashToken(refreshToken), accountType: "User" });
+      } else {
+        const decoded = jwt.decode(getBearerToken(req) || req.cookies.token || "");
+        if (decoded && decoded.sid) {
+          await revokeSession({ _id: decoded.sid, accountType: "User" });
+        }
+      }
+
+      clearSessionCookies("User", res);
       res.status(201).json({
         success: true,
         message: "Log out successful!",
@@ -174,6 +280,40 @@ router.get(
   })
 );
 
+// exchange a refresh token for a new access token (and a new refresh token)
+router.post(
+  "/refresh-token",
+  catchAsyncErrors(async (req, res, next) => {
+    const { session, refreshToken } = await rotateSession(
+      req.cookies.refresh_token || req.body.refreshToken,
+      "User"
+    );
+
+    const user = await User.findById(session.account);
+    if (!user) {
+      await revokeSession({ _id: session._id });
+      return next(new ErrorHandler("User doesn't exists", 401));
+    }
+
+    sendSessionTokens(user, "User", session, refreshToken, 200, res);
+  })
+);
+
+// log out of all devices
+router.get(
+  "/logout-all-devices",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    await revokeAllSessions("User", req.user._id);
+
+    clearSessionCookies("User", res);
+    res.status(200).json({
+      success: true,
+      message: "Logged out of all devices!",
+    });
+  })
+);
+
 // update user info
 router.put(
   "/update-user-info",
@@ -337,6 +477,9 @@ router.put(
 
       await user.save();
 
+      // keep this device logged in, end every other session
+      await revokeAllSessions("User", user._id, req.sessionId);
+
       res.status(200).json({
         success: true,
         message: "Password updated successfully!",
@@ -367,8 +510,7 @@ router.get(
 // all users --- for admin
 router.get(
   "/admin-all-users",
-  isAuthenticated,
-  isAdmin("Admin"),
+  authorize("users:read"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const users = await User.find().sort({
@@ -384,11 +526,53 @@ router.get(
   })
 );
 
+// grant or revoke roles of a user --- admin
+router.put(
+  "/update-user-roles/:id",
+  authorize("roles:manage"),
+  catchAsyncErrors(async (req, res, next) => {
+    const grant = [].concat(req.body.grant || []);
+    const revoke = [].concat(req.body.revoke || []);
+
+    const unknown = [...grant, ...revoke].filter((role) => !GRANTABLE_ROLES.includes(role));
+    if (unknown.length > 0) {
+      return next(
+        new ErrorHandler(
+          `Unknown role(s): ${unknown.join(", ")}. Roles are ${GRANTABLE_ROLES.join(", ")}`,
+          400
+        )
+      );
+    }
+
+    if (revoke.includes("admin") && String(req.params.id) === String(req.user._id)) {
+      return next(new ErrorHandler("You can not revoke your own admin role", 400));
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return next(new ErrorHandler("User is not available with this id", 404));
+    }
+
+    const roles = new Set(rolesOf(user));
+    grant.forEach((role) => roles.add(role));
+    revoke.forEach((role) => roles.delete(role));
+
+    user.roles = [...roles].filter((role) => GRANTABLE_ROLES.includes(role));
+    // keep the old role field in step for clients that still read it
+    user.role = roles.has("admin") ? "Admin" : "user";
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      user,
+    });
+  })
+);
+
 // delete users --- admin
 router.delete(
   "/delete-user/:id",
-  isAuthenticated,
-  isAdmin("Admin"),
+  authorize("users:delete"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const user = await User.findById(req.params.id);
@@ -2,7 +2,7 @@ const Shop = require("../model/shop");
 const ErrorHandler = require("../utils/ErrorHandler");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const express = require("express");
-const { isSeller, isAuthenticated, isAdmin } = require("../middleware/auth");
+const { isSeller, authorize } = require("../middleware/auth");
 const Withdraw = require("../model/withdraw");
 const sendMail = require("../utils/sendMail");
 const router = express.Router();
@@ -55,8 +55,7 @@ router.post(
 
 router.get(
   "/get-all-withdraw-request",
-  isAuthenticated,
-  isAdmin("Admin"),
+  authorize("withdrawals:manage"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const withdraws = await Withdraw.find().sort({ createdAt: -1 });
@@ -74,8 +73,7 @@ router.get(
 // update withdraw request ---- admin
 router.put(
   "/update-withdraw-request/:id",
-  isAuthenticated,
-  isAdmin("Admin"),
+  authorize("withdrawals:manage"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const { sellerId } = req.body;
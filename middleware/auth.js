@@ -3,41 +3,117 @@ const catchAsyncErrors = require("./catchAsyncErrors");
 const jwt = require("jsonwebtoken");
 const User = require("../model/user");
 const Shop = require("../model/shop");
+const { isSessionActive } = require("../utils/sessions");
+const { rolesOf, hasPermission } = require("../utils/permissions");
 
-exports.isAuthenticated = catchAsyncErrors(async (req, res, next) => {
-  const { token } = req.cookies;
+// token from an "Authorization: Bearer <token>" header, if any
+const getBearerToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  return /^Bearer$/i.test(scheme) && token ? token : null;
+};
 
-  if (!token) {
-    return next(new ErrorHandler("Please login to continue", 401));
+// decoded payload, or null for a tampered, expired or revoked token
+const verifyToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET_KEY);
+  } catch (error) {
+    return null;
   }
 
-  const decoded = jwt.verify(token, process.env.JWT_SECRET_KEY);
+  return (await isSessionActive(decoded.sid)) ? decoded : null;
+};
 
-  req.user = await User.findById(decoded.id);
+// Builds isAuthenticated / isSeller: the bearer header wins over the cookie,
+// so mobile clients that cannot use cross-site cookies work the same way.
+const authenticate = (cookieName, Model, property) =>
+  catchAsyncErrors(async (req, res, next) => {
+    const token = getBearerToken(req) || req.cookies[cookieName];
 
-  next();
-});
+    if (!token) {
+      return next(new ErrorHandler("Please login to continue", 401));
+    }
+
+    const decoded = await verifyToken(token);
+    if (!decoded) {
+      return next(
+        new ErrorHandler("Your session is invalid or has expired, please login again", 401)
+      );
+    }
+
+    const account = await Model.findById(decoded.id);
+    if (!account) {
+      return next(
+        new ErrorHandler("The account for this session no longer exists", 401)
+      );
+    }
+
+    req[property] = account;
+    req.sessionId = decoded.sid;
+
+    next();
+  });
 
-exports.isSeller = catchAsyncErrors(async (req, res, next) => {
-  const { seller_token } = req.cookies;
-  if (!seller_token) {
-    return next(new ErrorHandler("Please login to continue", 401));
+exports.getBearerToken = getBearerToken;
+
+exports.isAuthenticated = authenticate("token", User, "user");
+
+exports.isSeller = authenticate("seller_token", Shop, "seller");
+
+// attach req.user / req.seller from whatever valid tokens the request carries
+const identify = async (req) => {
+  const { token, seller_token } = req.cookies;
+
+  const userToken = token && (await verifyToken(token));
+  if (userToken) {
+    req.user = await User.findById(userToken.id);
   }
 
-  const decoded = jwt.verify(seller_token, process.env.JWT_SECRET_KEY);
+  const sellerToken = seller_token && (await verifyToken(seller_token));
+  if (sellerToken) {
+    req.seller = await Shop.findById(sellerToken.id);
+  }
 
-  req.seller = await Shop.findById(decoded.id);
+  // a bearer token may belong to either kind of account
+  const bearer = getBearerToken(req);
+  const decoded = bearer && (await verifyToken(bearer));
+  if (decoded) {
+    const user = await User.findById(decoded.id);
+    if (user) {
+      req.user = user;
+    } else {
+      req.seller = (await Shop.findById(decoded.id)) || req.seller;
+    }
+  }
+};
 
+// same as identify, but as a middleware that never blocks
+exports.loadIdentity = catchAsyncErrors(async (req, res, next) => {
+  await identify(req);
   next();
 });
 
-exports.isAdmin = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+// Require every listed permission. Roles from the user and the shop login are
+// combined, so an admin never needs a seller login as well.
+exports.authorize = (...permissions) =>
+  catchAsyncErrors(async (req, res, next) => {
+    if (!req.user && !req.seller) {
+      await identify(req);
+    }
+
+    if (!req.user && !req.seller) {
+      return next(new ErrorHandler("Please login to continue", 401));
+    }
+
+    const roles = [...rolesOf(req.user), ...rolesOf(req.seller)];
+    const missing = permissions.filter((permission) => !hasPermission(roles, permission));
+
+    if (missing.length > 0) {
       return next(
-        new ErrorHandler(`${req.user.role} can not access this resources!`)
+        new ErrorHandler("You do not have permission to access this resource", 403)
       );
     }
+
+    req.roles = roles;
     next();
-  };
-};
+  });
@@ -2,6 +2,20 @@ const mongoose = require("mongoose");
 
 const bookingSchema = new mongoose.Schema(
   {
+    // the listing to view and the shop (agent) that owns it
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+    },
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Shop",
+    },
+    // set when the visitor was logged in
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
     name: {
       type: String,
       required: [true, "Name is required"],
@@ -22,6 +36,16 @@ const bookingSchema = new mongoose.Schema(
       type: Date,
       required: [true, "Booking date and time is required"],
     },
+    // "<shop>:<slot start>" while the booking holds its slot; unique, so two
+    // requests for the same slot cannot both succeed
+    slotKey: {
+      type: String,
+    },
+    // length of the slot when it was booked; the shop may change its slot
+    // length later, older bookings fall back to the current one
+    slotMinutes: {
+      type: Number,
+    },
     message: {
       type: String,
       default: "",
@@ -30,11 +54,70 @@ const bookingSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ["Pending", "Confirmed", "Cancelled"],
+      enum: ["Pending", "Confirmed", "Cancelled", "Completed", "No-show"],
       default: "Pending",
     },
+    statusHistory: [
+      {
+        status: {
+          type: String,
+          required: true,
+        },
+        // "customer", "seller", "admin" or "system"
+        changedBy: {
+          type: String,
+          default: "system",
+        },
+        // the user or shop account that made the change, when known
+        changedById: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
+        note: {
+          type: String,
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   { timestamps: true }
 );
 
+bookingSchema.index({ slotKey: 1 }, { unique: true, sparse: true });
+bookingSchema.index({ shop: 1, bookingDateTime: -1 });
+bookingSchema.index({ user: 1, bookingDateTime: -1 });
+
+// allowed status changes
+const TRANSITIONS = {
+  Pending: ["Confirmed", "Cancelled"],
+  Confirmed: ["Completed", "No-show", "Cancelled"],
+  Cancelled: [],
+  Completed: [],
+  "No-show": [],
+};
+
+bookingSchema.methods.canTransitionTo = function (status) {
+  return (TRANSITIONS[this.status] || []).includes(status);
+};
+
+bookingSchema.methods.transitionTo = function (status, changedBy, changedById, note) {
+  this.status = status;
+  this.statusHistory.push({ status, changedBy, changedById, note });
+  return this;
+};
+
+bookingSchema.pre("save", function (next) {
+  // record the initial status
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status });
+  }
+  // a cancelled booking gives its slot back
+  if (this.status === "Cancelled") {
+    this.slotKey = undefined;
+  }
+  next();
+});
+
 module.exports = mongoose.model("Booking", bookingSchema);
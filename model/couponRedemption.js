@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// one row per use of a coupon; usedCount on the coupon is the running total
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CoupounCode",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    orders: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+      },
+    ],
+    discount: {
+      type: Number,
+      required: true,
+    },
+    // which of the buyer's allowed uses this is (1..perUserLimit); only set
+    // when the coupon has a per-user limit
+    useNumber: {
+      type: Number,
+    },
+  },
+  { timestamps: true }
+);
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+// a buyer can hold each use number of a coupon once, so the per-user limit
+// holds even when two checkouts race
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, useNumber: 1 },
+  { unique: true, partialFilterExpression: { useNumber: { $exists: true } } }
+);
+
+module.exports = mongoose.model("CouponRedemption", couponRedemptionSchema);
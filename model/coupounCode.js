@@ -10,6 +10,12 @@ const coupounCodeSchema = new mongoose.Schema({
         type: Number,
         required: true,
     },
+    // "percentage" takes value% off the eligible items, "fixed" takes value off
+    type:{
+        type: String,
+        enum: ["percentage", "fixed"],
+        default: "percentage",
+    },
     minAmount:{
         type: Number,
     },
@@ -23,6 +29,25 @@ const coupounCodeSchema = new mongoose.Schema({
     selectedProduct:{
      type: String,
     },
+    expiresAt:{
+        type: Date,
+    },
+    // total number of uses allowed; empty means unlimited
+    usageLimit:{
+        type: Number,
+    },
+    perUserLimit:{
+        type: Number,
+    },
+    usedCount:{
+        type: Number,
+        default: 0,
+    },
+    // inactive coupons are kept with their redemption history but cannot be used
+    isActive:{
+        type: Boolean,
+        default: true,
+    },
     createdAt:{
         type: Date,
         default: Date.now(),
@@ -0,0 +1,125 @@
+const mongoose = require("mongoose");
+
+const orderSchema = new mongoose.Schema(
+  {
+    cart: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        name: {
+          type: String,
+          required: true,
+        },
+        price: {
+          type: Number,
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: [1, "Quantity must be at least 1"],
+        },
+        image: {
+          type: String,
+        },
+      },
+    ],
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // every order belongs to exactly one shop; a multi-shop cart becomes several orders
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Shop",
+      required: true,
+    },
+    subtotal: {
+      type: Number,
+      required: true,
+    },
+    discount: {
+      type: Number,
+      default: 0,
+    },
+    totalPrice: {
+      type: Number,
+      required: true,
+    },
+    coupon: {
+      name: String,
+      value: Number,
+    },
+    status: {
+      type: String,
+      enum: ["Awaiting Payment", "Processing", "Confirmed", "Handed over", "Cancelled"],
+      default: "Awaiting Payment",
+    },
+    statusHistory: [
+      {
+        status: {
+          type: String,
+          required: true,
+        },
+        // "buyer", "seller", "admin" or "system"
+        changedBy: {
+          type: String,
+          default: "system",
+        },
+        note: {
+          type: String,
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+    },
+    paidAt: {
+      type: Date,
+    },
+    // pending and completed refunds of this order, see controller/refund.js
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+// allowed status changes after payment; "Awaiting Payment" -> "Processing" is done by the callback
+const TRANSITIONS = {
+  "Awaiting Payment": ["Cancelled"],
+  Processing: ["Confirmed", "Cancelled"],
+  Confirmed: ["Handed over", "Cancelled"],
+  "Handed over": [],
+  Cancelled: [],
+};
+
+orderSchema.methods.canTransitionTo = function (status) {
+  return (TRANSITIONS[this.status] || []).includes(status);
+};
+
+orderSchema.methods.transitionTo = function (status, changedBy, note) {
+  this.status = status;
+  this.statusHistory.push({ status, changedBy, note });
+  return this;
+};
+
+// record the initial status
+orderSchema.pre("save", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status });
+  }
+  next();
+});
+
+module.exports = mongoose.model("Order", orderSchema);
@@ -0,0 +1,121 @@
+const mongoose = require("mongoose");
+
+const paymentSchema = new mongoose.Schema(
+  {
+    merchantRequestId: {
+      type: String,
+      required: true,
+    },
+    checkoutRequestId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    amount: {
+      type: Number,
+      required: [true, "Payment amount is required"],
+    },
+    phoneNumber: {
+      type: String,
+      required: [true, "Phone number is required"],
+    },
+    accountReference: {
+      type: String,
+    },
+    description: {
+      type: String,
+    },
+    // who initiated the STK push (a buyer, a seller, or neither for guests)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Shop",
+    },
+    // orders this payment pays for, fulfilled once it is Paid
+    orders: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["Pending", "Paid", "Failed", "Cancelled"],
+      default: "Pending",
+    },
+    resultCode: {
+      type: Number,
+    },
+    resultDesc: {
+      type: String,
+    },
+    mpesaReceiptNumber: {
+      type: String,
+    },
+    transactionDate: {
+      type: Date,
+    },
+    paidAt: {
+      type: Date,
+    },
+    // sum of refunds that are pending or completed
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
+    // last manual stkpushquery, used to throttle /payment/query
+    lastQueriedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// used by the sweep that queries stale pending payments
+paymentSchema.index({ status: 1, createdAt: 1 });
+
+// Daraja sends TransactionDate as a number like 20250603142512 (EAT)
+const parseTransactionDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(
+    String(value || "")
+  );
+  if (!match) return undefined;
+  const [, y, mo, d, h, mi, s] = match;
+  return new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}+03:00`);
+};
+
+// ResultCode Daraja uses when the customer dismisses the STK prompt
+const RESULT_CANCELLED_BY_USER = 1032;
+
+// build the update that settles a payment from a stkCallback or stkpushquery result
+paymentSchema.statics.settlementFor = function (result) {
+  const items = (result.CallbackMetadata && result.CallbackMetadata.Item) || [];
+  const metadata = {};
+  for (const item of items) {
+    metadata[item.Name] = item.Value;
+  }
+
+  const resultCode = Number(result.ResultCode);
+  const update = {
+    resultCode,
+    resultDesc: result.ResultDesc,
+  };
+
+  if (resultCode === 0) {
+    update.status = "Paid";
+    update.mpesaReceiptNumber = metadata.MpesaReceiptNumber;
+    update.transactionDate = parseTransactionDate(metadata.TransactionDate);
+    update.paidAt = new Date();
+  } else if (resultCode === RESULT_CANCELLED_BY_USER) {
+    update.status = "Cancelled";
+  } else {
+    update.status = "Failed";
+  }
+
+  return update;
+};
+
+module.exports = mongoose.model("Payment", paymentSchema);
@@ -1,5 +1,71 @@
 const mongoose = require("mongoose");
 
+// structured real-estate attributes, filterable in the listing search
+const propertyAttributesSchema = new mongoose.Schema(
+  {
+    listingType: {
+      type: String,
+      enum: {
+        values: ["sale", "rent"],
+        message: "Listing type must be sale or rent",
+      },
+    },
+    rentPeriod: {
+      type: String,
+      enum: {
+        values: ["daily", "weekly", "monthly", "yearly"],
+        message: "Rent period must be daily, weekly, monthly or yearly",
+      },
+      validate: {
+        validator: function (value) {
+          return !value || this.listingType === "rent";
+        },
+        message: "Rent period only applies to rental listings",
+      },
+    },
+    bedrooms: {
+      type: Number,
+      min: [0, "Bedrooms cannot be negative"],
+      validate: {
+        validator: Number.isInteger,
+        message: "Bedrooms must be a whole number",
+      },
+    },
+    bathrooms: {
+      type: Number,
+      min: [0, "Bathrooms cannot be negative"],
+      validate: {
+        validator: Number.isInteger,
+        message: "Bathrooms must be a whole number",
+      },
+    },
+    plotSize: {
+      type: Number,
+      min: [0, "Plot size cannot be negative"],
+    },
+    plotSizeUnit: {
+      type: String,
+      enum: {
+        values: ["sqft", "sqm", "acres", "hectares"],
+        message: "Plot size unit must be sqft, sqm, acres or hectares",
+      },
+      default: "sqft",
+    },
+    furnishing: {
+      type: String,
+      enum: {
+        values: ["furnished", "semi-furnished", "unfurnished"],
+        message: "Furnishing must be furnished, semi-furnished or unfurnished",
+      },
+    },
+    amenities: {
+      type: [{ type: String, trim: true, lowercase: true }],
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -20,6 +86,17 @@ const productSchema = new mongoose.Schema({
     type: String,
     required: [true, "Please enter the product location!"],
   },
+  // optional map position as GeoJSON [longitude, latitude]
+  geoLocation: {
+    type: {
+      type: String,
+      enum: ["Point"],
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+    },
+  },
   originalPrice: {
     type: Number,
   },
@@ -59,6 +136,9 @@ const productSchema = new mongoose.Schema({
     type: [String],
     default: [],
   },
+  attributes: {
+    type: propertyAttributesSchema,
+  },
   reviews: [
     {
       user: {
@@ -69,6 +149,8 @@ const productSchema = new mongoose.Schema({
       rating: {
         type: Number,
         required: true,
+        min: [1, "Rating must be between 1 and 5"],
+        max: [5, "Rating must be between 1 and 5"],
       },
       comment: String,
       productId: {
@@ -76,10 +158,18 @@ const productSchema = new mongoose.Schema({
         ref: "Product",
         required: true,
       },
+      // the shop owner's public answer
+      reply: {
+        comment: String,
+        createdAt: Date,
+      },
       createdAt: {
         type: Date,
         default: Date.now,
       },
+      updatedAt: {
+        type: Date,
+      },
     },
   ],
   ratings: {
@@ -105,4 +195,26 @@ const productSchema = new mongoose.Schema({
   },
 });
 
+// average of all review ratings
+productSchema.methods.updateRatings = function () {
+  const total = this.reviews.reduce((sum, review) => sum + review.rating, 0);
+  this.ratings = this.reviews.length ? total / this.reviews.length : 0;
+  return this;
+};
+
+// listing search (see utils/productSearch.js)
+productSchema.index(
+  { name: "text", description: "text", tags: "text" },
+  { weights: { name: 5, tags: 3, description: 1 }, name: "product_text_search" }
+);
+productSchema.index({ category: 1, discountPrice: 1 });
+productSchema.index({ discountPrice: 1 });
+productSchema.index({ createdAt: -1 });
+productSchema.index({ ratings: -1 });
+productSchema.index({ sold_out: -1 });
+productSchema.index({ shopId: 1 });
+productSchema.index({ geoLocation: "2dsphere" });
+productSchema.index({ "attributes.listingType": 1, "attributes.bedrooms": 1, discountPrice: 1 });
+productSchema.index({ "attributes.amenities": 1 });
+
 module.exports = mongoose.model("Product", productSchema);
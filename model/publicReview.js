@@ -6,7 +6,22 @@ const publicReviewSchema = new mongoose.Schema({
   comment: { type: String, required: true },
   helpfulUp: { type: Number, default: 0 },
   helpfulDown: { type: Number, default: 0 },
+  // only approved reviews are shown publicly
+  status: {
+    type: String,
+    enum: ["pending", "approved", "rejected"],
+    default: "pending",
+  },
+  moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  moderatedAt: { type: Date },
+  moderationNote: { type: String },
+  // submitter, for rate limiting: logged in user and/or hashed IP
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  ipHash: { type: String, select: false },
   createdAt: { type: Date, default: Date.now },
 });
 
+publicReviewSchema.index({ status: 1, createdAt: -1 });
+publicReviewSchema.index({ ipHash: 1, createdAt: -1 });
+
 module.exports = mongoose.model("PublicReview", publicReviewSchema);
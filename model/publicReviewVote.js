@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// one helpful/unhelpful vote per voter per review
+const publicReviewVoteSchema = new mongoose.Schema(
+  {
+    review: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PublicReview",
+      required: true,
+    },
+    // "user:<id>" for logged in visitors, "ip:<hash>" otherwise
+    voterKey: { type: String, required: true },
+    vote: { type: String, enum: ["up", "down"], required: true },
+  },
+  { timestamps: true }
+);
+
+publicReviewVoteSchema.index({ review: 1, voterKey: 1 }, { unique: true });
+
+module.exports = mongoose.model("PublicReviewVote", publicReviewVoteSchema);
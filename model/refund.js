@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+const refundSchema = new mongoose.Schema(
+  {
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    // shop whose availableBalance was debited, if any
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Shop",
+    },
+    amount: {
+      type: Number,
+      required: [true, "Refund amount is required"],
+      min: [1, "Refund amount must be at least 1"],
+    },
+    reason: {
+      type: String,
+      required: [true, "Please provide a reason for the refund"],
+    },
+    method: {
+      type: String,
+      enum: ["Reversal", "B2C"],
+      required: true,
+    },
+    phoneNumber: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["Pending", "Completed", "Failed", "Timed out"],
+      default: "Pending",
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    conversationId: {
+      type: String,
+      index: true,
+    },
+    originatorConversationId: {
+      type: String,
+      index: true,
+    },
+    transactionId: {
+      type: String,
+    },
+    resultCode: {
+      type: Number,
+    },
+    resultDesc: {
+      type: String,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Refund", refundSchema);
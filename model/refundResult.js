@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// A Daraja refund result or timeout that arrived before create-refund had
+// saved the refund's conversation ids; create-refund applies it afterwards
+const refundResultSchema = new mongoose.Schema(
+  {
+    conversationId: {
+      type: String,
+      index: true,
+    },
+    originatorConversationId: {
+      type: String,
+      index: true,
+    },
+    // the fields to set on the refund, as passed to finishRefund
+    update: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+    },
+  },
+  { timestamps: true }
+);
+
+// results that never match a refund are kept for a month for reconciliation
+refundResultSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefundResult", refundResultSchema);
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// A login on one device. The refresh token is only stored as a hash and is
+// rotated on every refresh; access tokens carry the session id (sid) so that
+// revoking the session logs that device out immediately.
+const sessionSchema = new mongoose.Schema(
+  {
+    accountType: {
+      type: String,
+      enum: ["User", "Shop"],
+      required: true,
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "accountType",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // earlier refresh tokens of this session; seeing one again means it was stolen
+    rotatedTokenHashes: {
+      type: [String],
+      index: true,
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ account: 1, accountType: 1 });
+// MongoDB removes sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -1,6 +1,7 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 
 const shopSchema = new mongoose.Schema({
   name: {
@@ -46,6 +47,32 @@ const shopSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  // viewing hours (Nairobi time) used to offer booking slots, see utils/availability.js
+  availability: {
+    weekly: [
+      {
+        _id: false,
+        day: {
+          type: Number,
+          min: 0,
+          max: 6,
+        },
+        start: String,
+        end: String,
+      },
+    ],
+    blackoutDates: [String],
+    slotMinutes: {
+      type: Number,
+      default: 60,
+    },
+  },
+  // secret part of the shop's iCal feed URL
+  calendarToken: {
+    type: String,
+    select: false,
+    index: { unique: true, sparse: true },
+  },
   withdrawMethod: {
     type: Object,
   },
@@ -83,15 +110,15 @@ const shopSchema = new mongoose.Schema({
 // Hash password
 shopSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
-    next();
+    return next();
   }
   this.password = await bcrypt.hash(this.password, 10);
 });
 
-// jwt token
-shopSchema.methods.getJwtToken = function () {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET_KEY, {
-    expiresIn: process.env.JWT_EXPIRES,
+// short-lived access token, tied to a session (see utils/sessions.js)
+shopSchema.methods.getJwtToken = function (sessionId) {
+  return jwt.sign({ id: this._id, sid: sessionId }, process.env.JWT_SECRET_KEY, {
+    expiresIn: `${Number(process.env.ACCESS_TOKEN_MINUTES) || 15}m`,
   });
 };
 
@@ -100,4 +127,17 @@ shopSchema.methods.comparePassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// password reset token: the raw token is emailed, only its hash is stored
+shopSchema.methods.getResetPasswordToken = function () {
+  const resetToken = crypto.randomBytes(20).toString("hex");
+
+  this.resetPasswordToken = crypto
+    .createHash("sha256")
+    .update(resetToken)
+    .digest("hex");
+  this.resetPasswordTime = Date.now() + 15 * 60 * 1000;
+
+  return resetToken;
+};
+
 module.exports = mongoose.model("Shop", shopSchema);
@@ -1,6 +1,7 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 
 const userSchema = new mongoose.Schema({
   name:{
@@ -46,6 +47,12 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: "user",
   },
+  // granted roles, see utils/permissions.js
+  roles:{
+    type: [String],
+    enum: ["admin", "editor", "support"],
+    default: [],
+  },
   avatar:{
     public_id: {
       type: String,
@@ -68,16 +75,16 @@ const userSchema = new mongoose.Schema({
 //  Hash password
 userSchema.pre("save", async function (next){
   if(!this.isModified("password")){
-    next();
+    return next();
   }
 
   this.password = await bcrypt.hash(this.password, 10);
 });
 
-// jwt token
-userSchema.methods.getJwtToken = function () {
-  return jwt.sign({ id: this._id}, process.env.JWT_SECRET_KEY,{
-    expiresIn: process.env.JWT_EXPIRES,
+// short-lived access token, tied to a session (see utils/sessions.js)
+userSchema.methods.getJwtToken = function (sessionId) {
+  return jwt.sign({ id: this._id, sid: sessionId }, process.env.JWT_SECRET_KEY, {
+    expiresIn: `${Number(process.env.ACCESS_TOKEN_MINUTES) || 15}m`,
   });
 };
 
@@ -86,4 +93,17 @@ userSchema.methods.comparePassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// password reset token: the raw token is emailed, only its hash is stored
+userSchema.methods.getResetPasswordToken = function () {
+  const resetToken = crypto.randomBytes(20).toString("hex");
+
+  this.resetPasswordToken = crypto
+    .createHash("sha256")
+    .update(resetToken)
+    .digest("hex");
+  this.resetPasswordTime = Date.now() + 15 * 60 * 1000;
+
+  return resetToken;
+};
+
 module.exports = mongoose.model("User", userSchema);
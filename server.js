@@ -25,6 +25,15 @@ cloudinary.config({
 })
 
 
+// settle M-Pesa payments whose callback never arrived
+if (process.env.MPESA_SWEEP_INTERVAL_SECONDS) {
+  const { sweepPendingPayments } = require("./utils/payments");
+  setInterval(() => {
+    sweepPendingPayments(Number(process.env.MPESA_QUERY_AFTER_SECONDS) || 60)
+      .catch((err) => console.log(`Payment sweep failed: ${err.message}`));
+  }, Number(process.env.MPESA_SWEEP_INTERVAL_SECONDS) * 1000).unref();
+}
+
 // create server
 const server = app.listen(process.env.PORT, () => {
   console.log(
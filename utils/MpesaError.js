@@ -0,0 +1,13 @@
+const ErrorHandler = require("./ErrorHandler");
+
+// Raised when Safaricom's Daraja API cannot be reached or rejects a request.
+// Defaults to 502 since the failure is upstream of us, not the client's fault.
+class MpesaError extends ErrorHandler {
+  constructor(message, statusCode = 502, details) {
+    super(message, statusCode);
+    this.name = "MpesaError";
+    this.details = details;
+  }
+}
+
+module.exports = MpesaError;
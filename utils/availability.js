@@ -0,0 +1,170 @@
+const ErrorHandler = require("./ErrorHandler");
+
+// Viewing times are local to Kenya: Africa/Nairobi is UTC+3 all year (no DST)
+const UTC_OFFSET = "+03:00";
+const OFFSET_MS = 3 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// used until a shop sets its own weekly hours: Monday to Saturday, 9 to 5
+const DEFAULT_WEEKLY = [1, 2, 3, 4, 5, 6].map((day) => ({
+  day,
+  start: "09:00",
+  end: "17:00",
+}));
+const DEFAULT_SLOT_MINUTES = 60;
+const MAX_SLOT_MINUTES = 240;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// "2025-02-30" matches the pattern but is not a day; Date would roll it over
+const isCalendarDate = (date) =>
+  typeof date === "string" &&
+  DATE_PATTERN.test(date) &&
+  !isNaN(new Date(`${date}T00:00:00Z`)) &&
+  new Date(`${date}T00:00:00Z`).toISOString().slice(0, 10) === date;
+
+// "2025-03-01" for the Nairobi calendar day a moment falls on
+const localDateString = (date) =>
+  new Date(date.getTime() + OFFSET_MS).toISOString().slice(0, 10);
+
+// "2025-03-01" + "14:30" in Nairobi time -> Date, or null when invalid
+const parseLocalDateTime = (date, time) => {
+  if (!isCalendarDate(date) || !TIME_PATTERN.test(time || "")) {
+    return null;
+  }
+  return new Date(`${date}T${time}:00${UTC_OFFSET}`);
+};
+
+// a shop's availability with the defaults filled in
+const availabilityOf = (shop) => {
+  const availability = (shop && shop.availability) || {};
+  return {
+    weekly:
+      availability.weekly && availability.weekly.length > 0
+        ? availability.weekly
+        : DEFAULT_WEEKLY,
+    blackoutDates: availability.blackoutDates || [],
+    slotMinutes: availability.slotMinutes || DEFAULT_SLOT_MINUTES,
+  };
+};
+
+// start times of every slot on one Nairobi calendar day
+const slotsForDay = (availability, dateString) => {
+  if (availability.blackoutDates.includes(dateString)) return [];
+
+  const midnight = new Date(`${dateString}T00:00:00${UTC_OFFSET}`);
+  const day = new Date(midnight.getTime() + OFFSET_MS).getUTCDay();
+  const slotMs = availability.slotMinutes * 60 * 1000;
+  const starts = [];
+
+  for (const window of availability.weekly) {
+    if (window.day !== day) continue;
+
+    const end = midnight.getTime() + toMinutes(window.end) * 60 * 1000;
+    let start = midnight.getTime() + toMinutes(window.start) * 60 * 1000;
+    for (; start + slotMs <= end; start += slotMs) {
+      starts.push(start);
+    }
+  }
+
+  return [...new Set(starts)].sort((a, b) => a - b).map((ms) => new Date(ms));
+};
+
+// is `start` the beginning of one of the shop's slots?
+const isBookableSlot = (availability, start) =>
+  slotsForDay(availability, localDateString(start)).some(
+    (slot) => slot.getTime() === start.getTime()
+  );
+
+// does [start, end) overlap any of the booked { start, end } intervals (in ms)?
+const overlapsBooked = (booked, start, end) =>
+  booked.some((interval) => interval.start < end && interval.end > start);
+
+// Free slots between two Nairobi dates (inclusive). `booked` holds the
+// { start, end } intervals (in ms) already taken, which may not line up with
+// the current slots; slots in the past are left out.
+const freeSlots = (availability, fromDate, toDate, booked, now = new Date()) => {
+  const slotMs = availability.slotMinutes * 60 * 1000;
+  const slots = [];
+
+  let day = new Date(`${fromDate}T00:00:00Z`);
+  const last = new Date(`${toDate}T00:00:00Z`);
+  for (; day <= last; day = new Date(day.getTime() + DAY_MS)) {
+    for (const start of slotsForDay(availability, day.toISOString().slice(0, 10))) {
+      const end = start.getTime() + slotMs;
+      if (start <= now || overlapsBooked(booked, start.getTime(), end)) continue;
+      slots.push({ start, end: new Date(end) });
+    }
+  }
+
+  return slots;
+};
+
+// Check and normalise availability sent by a seller; throws a 400 when invalid
+const parseAvailability = ({ weekly, blackoutDates, slotMinutes }) => {
+  const availability = {};
+
+  if (weekly !== undefined) {
+    if (!Array.isArray(weekly)) {
+      throw new ErrorHandler("weekly must be a list of { day, start, end }", 400);
+    }
+    availability.weekly = weekly.map((window) => {
+      const day = Number(window.day);
+      if (!Number.isInteger(day) || day < 0 || day > 6) {
+        throw new ErrorHandler("day must be 0 (Sunday) to 6 (Saturday)", 400);
+      }
+      if (!TIME_PATTERN.test(window.start || "") || !TIME_PATTERN.test(window.end || "")) {
+        throw new ErrorHandler("start and end must be times like 09:00", 400);
+      }
+      if (toMinutes(window.start) >= toMinutes(window.end)) {
+        throw new ErrorHandler("start must be before end", 400);
+      }
+      return { day, start: window.start, end: window.end };
+    });
+  }
+
+  if (blackoutDates !== undefined) {
+    const dates = [].concat(blackoutDates);
+    if (dates.some((date) => !isCalendarDate(date))) {
+      throw new ErrorHandler("Blackout dates must be dates like 2025-12-25", 400);
+    }
+    availability.blackoutDates = [...new Set(dates)].sort();
+  }
+
+  if (slotMinutes !== undefined) {
+    const minutes = Number(slotMinutes);
+    if (!Number.isInteger(minutes) || minutes < 15 || minutes > MAX_SLOT_MINUTES) {
+      throw new ErrorHandler(
+        `Slot length must be between 15 and ${MAX_SLOT_MINUTES} minutes`,
+        400
+      );
+    }
+    availability.slotMinutes = minutes;
+  }
+
+  return availability;
+};
+
+// Unique per shop and slot start; see the slotKey index on bookings. Slots
+// that overlap without starting together are caught by overlapsBooked.
+const slotKeyFor = (shopId, start) => `${shopId}:${start.toISOString()}`;
+
+module.exports = {
+  DAY_MS,
+  MAX_SLOT_MINUTES,
+  localDateString,
+  parseLocalDateTime,
+  availabilityOf,
+  slotsForDay,
+  isBookableSlot,
+  overlapsBooked,
+  freeSlots,
+  parseAvailability,
+  slotKeyFor,
+};
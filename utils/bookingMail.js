@@ -0,0 +1,132 @@
+// Emails sent to customers about their viewing bookings
+const { bookingEvent, buildCalendar } = require("./ical");
+const { availabilityOf } = require("./availability");
+
+const escapeHtml = (value) =>
+  String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// "Tuesday, 20 October 2026 at 09:00" in Nairobi time, whatever the server's timezone
+const formatViewingTime = (date) =>
+  new Intl.DateTimeFormat("en-GB", {
+    timeZone: "Africa/Nairobi",
+    dateStyle: "full",
+    timeStyle: "short",
+  }).format(date);
+
+// subject, heading and opening line per booking status
+const TEMPLATES = {
+  Pending: {
+    subject: "Your Appointment Confirmation – HaoChapChap",
+    intro: "Thanks for booking with <strong>HaoChapChap</strong>. Here are the details of your appointment:",
+  },
+  Confirmed: {
+    subject: "Your viewing is confirmed – HaoChapChap",
+    intro: "Good news, the agent has confirmed your viewing:",
+  },
+  Cancelled: {
+    subject: "Your viewing has been cancelled – HaoChapChap",
+    intro: "Your viewing below has been cancelled:",
+  },
+  Completed: {
+    subject: "Thanks for viewing with HaoChapChap",
+    intro: "Thank you for attending your viewing. We hope you liked the property:",
+  },
+  "No-show": {
+    subject: "We missed you at your viewing – HaoChapChap",
+    intro: "The agent waited for you but you didn't make it to this viewing:",
+  },
+};
+
+// Calendar invite for the booking: a REQUEST while it is upcoming, a CANCEL
+// once it is cancelled, nothing after the viewing has happened
+const calendarAttachment = (booking, { product, shop }) => {
+  const method = { Pending: "REQUEST", Confirmed: "REQUEST", Cancelled: "CANCEL" }[
+    booking.status
+  ];
+  if (!method) return undefined;
+
+  const content = buildCalendar({
+    method,
+    events: [
+      bookingEvent(booking, {
+        product,
+        shop,
+        slotMinutes: availabilityOf(shop).slotMinutes,
+      }),
+    ],
+  });
+
+  return {
+    filename: method === "CANCEL" ? "viewing-cancelled.ics" : "viewing.ics",
+    content,
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+  };
+};
+
+// Build sendMail options for a booking in its current status.
+// `product` and `shop` are optional (older bookings have neither); `manageUrl`
+// adds the reschedule / cancel link.
+const bookingStatusMail = (booking, { product, shop, note, manageUrl } = {}) => {
+  const template = TEMPLATES[booking.status] || TEMPLATES.Pending;
+  const when = formatViewingTime(booking.bookingDateTime);
+
+  const details = [
+    product ? `<li><strong>Property:</strong> ${escapeHtml(product.name)}</li>` : "",
+    shop ? `<li><strong>Agent:</strong> ${escapeHtml(shop.name)}</li>` : "",
+    `<li><strong>Phone:</strong> ${escapeHtml(booking.phone)}</li>`,
+    `<li><strong>Date & Time:</strong> ${when} (Nairobi time)</li>`,
+    `<li><strong>Status:</strong> ${booking.status}</li>`,
+  ].join("");
+
+  const extra = [
+    note ? `<p><strong>Note from us:</strong><br/>${escapeHtml(note)}</p>` : "",
+    booking.status === "Pending" && booking.message
+      ? `<p><strong>Your message:</strong><br/>${escapeHtml(booking.message)}</p>`
+      : "",
+  ].join("");
+
+  const invite = calendarAttachment(booking, { product, shop });
+
+  return {
+    email: booking.email,
+    subject: template.subject,
+    message: `Hello ${booking.name}, your viewing on ${when} is ${booking.status}.${
+      note ? ` Note: ${note}` : ""
+    }${manageUrl ? ` Reschedule or cancel: ${manageUrl}` : ""}`,
+    htmlMessage: `
+      <html>
+        <body style="font-family: Arial, sans-serif; background-color: #f9f9f9; padding: 20px;">
+          <div style="max-width: 600px; margin: auto; background-color: #ffffff; padding: 20px; border-radius: 8px;">
+            <h2 style="color: #2a9d8f;">Hello ${escapeHtml(booking.name)},</h2>
+            <p>${template.intro}</p>
+            <ul>${details}</ul>
+            ${extra}
+            ${
+              manageUrl
+                ? `<p>Can't make it? <a href="${manageUrl}">Reschedule or cancel your viewing</a>.</p>`
+                : ""
+            }
+            <p>If we need to contact you, we will use the email or phone provided.</p>
+            <p style="margin-top: 30px;">— HaoChapChap Team</p>
+
+            <footer style="text-align: center; font-size: 12px; color: #888; margin-top: 40px;">
+              &copy; ${new Date().getFullYear()} HaoChapChap. All rights reserved.
+            </footer>
+          </div>
+        </body>
+      </html>
+    `,
+    attachments: invite ? [invite] : undefined,
+  };
+};
+
+module.exports = {
+  escapeHtml,
+  formatViewingTime,
+  bookingStatusMail,
+};
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const Product = require("../model/product");
+const ErrorHandler = require("./ErrorHandler");
+
+// Turn a client cart ([{ productId, quantity }]) into priced lines using the
+// prices and stock stored in the database. Throws a 400 ErrorHandler if the
+// cart is empty, malformed, or asks for more than is in stock.
+const priceCart = async (cart) => {
+  if (!Array.isArray(cart) || cart.length === 0) {
+    throw new ErrorHandler("Your cart is empty", 400);
+  }
+
+  // merge repeated lines of the same product
+  const quantities = new Map();
+  for (const line of cart) {
+    const productId = line.productId || line._id;
+    const quantity = Number(line.quantity || 1);
+
+    if (!mongoose.isValidObjectId(productId) || !Number.isInteger(quantity) || quantity < 1) {
+      throw new ErrorHandler("Invalid cart item", 400);
+    }
+
+    quantities.set(String(productId), (quantities.get(String(productId)) || 0) + quantity);
+  }
+
+  const products = await Product.find({ _id: { $in: [...quantities.keys()] } });
+  if (products.length !== quantities.size) {
+    throw new ErrorHandler("Some items in your cart are no longer available", 400);
+  }
+
+  return products.map((product) => {
+    const quantity = quantities.get(String(product._id));
+
+    if (product.stock < quantity) {
+      throw new ErrorHandler(`Only ${product.stock} left of ${product.name}`, 400);
+    }
+
+    return {
+      productId: product._id,
+      name: product.name,
+      shopId: product.shopId,
+      price: product.discountPrice,
+      quantity,
+      image: product.images.length ? product.images[0].url : undefined,
+    };
+  });
+};
+
+module.exports = { priceCart };
@@ -0,0 +1,183 @@
+const CoupounCode = require("../model/coupounCode");
+const CouponRedemption = require("../model/couponRedemption");
+const ErrorHandler = require("./ErrorHandler");
+
+// Work out what a coupon takes off a cart.
+//
+// `items` are priced cart lines from priceCart: { productId, name, shopId, price, quantity }.
+// A coupon only applies to its own shop's items (or just `selectedProduct`,
+// matched by id or name), `value` is a percentage or a fixed amount depending
+// on `type`, `minAmount` is the minimum eligible spend and `maxAmount` caps the
+// discount.
+//
+// Returns { discount, eligibleAmount } or { error, code } with a reason.
+const computeCouponDiscount = (coupon, items) => {
+  const eligible = items.filter((item) => {
+    if (String(item.shopId) !== String(coupon.shopId)) return false;
+    if (!coupon.selectedProduct) return true;
+    return (
+      String(item.productId) === coupon.selectedProduct ||
+      item.name === coupon.selectedProduct
+    );
+  });
+
+  if (eligible.length === 0) {
+    return {
+      error: "This coupon is not valid for the items in your cart",
+      code: "NOT_APPLICABLE",
+    };
+  }
+
+  const eligibleAmount = eligible.reduce(
+    (sum, item) => sum + item.price * item.quantity,
+    0
+  );
+
+  if (coupon.minAmount && eligibleAmount < coupon.minAmount) {
+    return {
+      error: `This coupon requires a minimum spend of ${coupon.minAmount}`,
+      code: "MIN_AMOUNT_NOT_MET",
+    };
+  }
+
+  let discount =
+    coupon.type === "fixed" ? coupon.value : (eligibleAmount * coupon.value) / 100;
+  if (coupon.maxAmount) {
+    discount = Math.min(discount, coupon.maxAmount);
+  }
+
+  return {
+    discount: Math.round(Math.min(discount, eligibleAmount)),
+    eligibleAmount,
+  };
+};
+
+// Full check of a coupon against a cart: expiry, usage limits and the discount.
+// `userId` is optional; the per-user limit is only checked when it is given.
+const evaluateCoupon = async (coupon, items, userId) => {
+  if (!coupon) {
+    return { error: "Coupon code doesn't exist!", code: "NOT_FOUND" };
+  }
+
+  if (coupon.isActive === false) {
+    return { error: "This coupon is no longer active", code: "INACTIVE" };
+  }
+
+  if (coupon.expiresAt && coupon.expiresAt <= new Date()) {
+    return { error: "This coupon has expired", code: "EXPIRED" };
+  }
+
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return { error: "This coupon has been fully redeemed", code: "USAGE_LIMIT_REACHED" };
+  }
+
+  if (userId && coupon.perUserLimit) {
+    const used = await CouponRedemption.countDocuments({
+      coupon: coupon._id,
+      user: userId,
+    });
+    if (used >= coupon.perUserLimit) {
+      return {
+        error: "You have already used this coupon the maximum number of times",
+        code: "PER_USER_LIMIT_REACHED",
+      };
+    }
+  }
+
+  return computeCouponDiscount(coupon, items);
+};
+
+// Log one use of a coupon by a buyer. With a per-user limit the buyer takes
+// the lowest free use number; the unique index on (coupon, user, useNumber)
+// makes a racing checkout that picked the same number fail, and it tries the
+// next one until none is left.
+const createRedemption = async (coupon, userId, orders, discount) => {
+  const data = {
+    coupon: coupon._id,
+    user: userId,
+    orders: orders.map((order) => order._id),
+    discount,
+  };
+
+  if (!coupon.perUserLimit) {
+    return CouponRedemption.create(data);
+  }
+
+  // uses logged before the coupon had a per-user limit carry no number
+  const unnumbered = await CouponRedemption.countDocuments({
+    coupon: coupon._id,
+    user: userId,
+    useNumber: { $exists: false },
+  });
+
+  for (;;) {
+    const taken = await CouponRedemption.distinct("useNumber", {
+      coupon: coupon._id,
+      user: userId,
+    });
+    let useNumber = 1;
+    while (taken.includes(useNumber)) useNumber += 1;
+
+    if (useNumber > coupon.perUserLimit - unnumbered) {
+      throw new ErrorHandler(
+        "You have already used this coupon the maximum number of times",
+        400
+      );
+    }
+
+    try {
+      return await CouponRedemption.create({ ...data, useNumber });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+};
+
+// Count one use of a coupon and log it. The usage limits are enforced
+// atomically, so two buyers racing for the last use cannot both get it.
+const redeemCoupon = async (coupon, userId, orders, discount) => {
+  const updated = await CoupounCode.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [
+        { usageLimit: null },
+        { usageLimit: 0 },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new ErrorHandler("This coupon has been fully redeemed", 400);
+  }
+
+  try {
+    return await createRedemption(updated, userId, orders, discount);
+  } catch (error) {
+    await CoupounCode.updateOne({ _id: coupon._id }, { $inc: { usedCount: -1 } });
+    throw error;
+  }
+};
+
+// Undo the redemption made for these orders (checkout failed or was cancelled unpaid)
+const releaseCouponRedemption = async (orderIds) => {
+  const redemption = await CouponRedemption.findOneAndDelete({
+    orders: { $in: orderIds },
+  });
+
+  if (redemption) {
+    await CoupounCode.updateOne(
+      { _id: redemption.coupon },
+      { $inc: { usedCount: -1 } }
+    );
+  }
+};
+
+module.exports = {
+  computeCouponDiscount,
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCouponRedemption,
+};
@@ -0,0 +1,317 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const MpesaError = require("./MpesaError");
+
+// Safaricom Daraja (M-Pesa) client
+//
+// Config (config/.env):
+//   MPESA_ENV              "production" or "sandbox" (default)
+//   MPESA_BASE_URL         overrides the Daraja host, e.g. a local mock server
+//   MPESA_CONSUMER_KEY / MPESA_CONSUMER_SECRET
+//   MPESA_SHORTCODE        business shortcode (paybill or store number)
+//   MPESA_PASSKEY          Lipa Na M-Pesa Online passkey
+//   MPESA_TILL_NUMBER      set for Buy Goods; PayBill is used when empty
+//   MPESA_CALLBACK_URL     public URL of /api/v2/payment/callback?token=<secret>
+//   MPESA_QUERY_AFTER_SECONDS     age before a pending payment is queried (default 60)
+//   MPESA_SWEEP_INTERVAL_SECONDS  run that query sweep in-process (server.js)
+//   MPESA_INITIATOR_NAME          API operator used for B2C and reversals
+//   MPESA_SECURITY_CREDENTIAL     initiator password encrypted with Safaricom's cert
+//   MPESA_B2C_SHORTCODE           shortcode refunds are paid from (default MPESA_SHORTCODE)
+//   MPESA_REFUND_RESULT_URL / MPESA_REFUND_TIMEOUT_URL
+//                                 public URLs of /api/v2/refund/result and /timeout,
+//                                 each with a ?token=<secret> like the callback URL
+
+const BASE_URLS = {
+  sandbox: "https://sandbox.safaricom.co.ke",
+  production: "https://api.safaricom.co.ke",
+};
+
+const getBaseUrl = () => {
+  if (process.env.MPESA_BASE_URL) {
+    return process.env.MPESA_BASE_URL.replace(/\/+$/, "");
+  }
+  return process.env.MPESA_ENV === "production"
+    ? BASE_URLS.production
+    : BASE_URLS.sandbox;
+};
+
+// YYYYMMDDHHmmss in East Africa Time, as Daraja expects
+const getTimestamp = (date = new Date()) => {
+  const eat = new Date(date.getTime() + 3 * 60 * 60 * 1000);
+  return eat.toISOString().replace(/[^0-9]/g, "").slice(0, 14);
+};
+
+// base64(Shortcode + Passkey + Timestamp)
+const getPassword = (timestamp) => {
+  return Buffer.from(
+    `${process.env.MPESA_SHORTCODE}${process.env.MPESA_PASSKEY}${timestamp}`
+  ).toString("base64");
+};
+
+// 0712345678, +254 712 345 678, 712345678 -> 254712345678 (null if invalid)
+const normalisePhoneNumber = (phoneNumber) => {
+  let phone = String(phoneNumber || "").replace(/[\s\-()+]/g, "");
+
+  if (/^0[17]\d{8}$/.test(phone)) {
+    phone = `254${phone.slice(1)}`;
+  } else if (/^[17]\d{8}$/.test(phone)) {
+    phone = `254${phone}`;
+  }
+
+  return /^254[17]\d{8}$/.test(phone) ? phone : null;
+};
+
+// Refresh the OAuth token this long before Daraja says it expires
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+let cachedToken = null;
+let tokenExpiresAt = 0;
+let pendingTokenRequest = null;
+
+// Describe an axios failure from Daraja in one line
+const describeDarajaError = (error) => {
+  const data = error.response && error.response.data;
+  if (data && (data.errorMessage || data.ResponseDescription)) {
+    return data.errorMessage || data.ResponseDescription;
+  }
+  return error.message;
+};
+
+const fetchAccessToken = async () => {
+  const auth = Buffer.from(
+    `${process.env.MPESA_CONSUMER_KEY}:${process.env.MPESA_CONSUMER_SECRET}`
+  ).toString("base64");
+
+  let data;
+  try {
+    ({ data } = await axios.get(
+      `${getBaseUrl()}/oauth/v1/generate?grant_type=client_credentials`,
+      { headers: { Authorization: `Basic ${auth}` }, timeout: 15000 }
+    ));
+  } catch (error) {
+    throw new MpesaError(
+      `Could not authenticate with M-Pesa: ${describeDarajaError(error)}`
+    );
+  }
+
+  if (!data || !data.access_token) {
+    throw new MpesaError("M-Pesa did not return an access token");
+  }
+
+  cachedToken = data.access_token;
+  tokenExpiresAt =
+    Date.now() + Number(data.expires_in || 3599) * 1000 - TOKEN_EXPIRY_MARGIN_MS;
+
+  return cachedToken;
+};
+
+// Cached OAuth token; concurrent callers share a single refresh request
+const getAccessToken = async () => {
+  if (cachedToken && Date.now() < tokenExpiresAt) {
+    return cachedToken;
+  }
+
+  if (!pendingTokenRequest) {
+    pendingTokenRequest = fetchAccessToken().finally(() => {
+      pendingTokenRequest = null;
+    });
+  }
+
+  return pendingTokenRequest;
+};
+
+const invalidateAccessToken = () => {
+  cachedToken = null;
+  tokenExpiresAt = 0;
+};
+
+// Authenticated POST to a Daraja endpoint; failures become MpesaErrors
+const darajaPost = async (path, payload) => {
+  const token = await getAccessToken();
+
+  try {
+    const { data } = await axios.post(`${getBaseUrl()}${path}`, payload, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      timeout: 30000,
+    });
+    return data;
+  } catch (error) {
+    if (error.response && error.response.status === 401) {
+      invalidateAccessToken();
+    }
+    throw new MpesaError(
+      `M-Pesa request failed: ${describeDarajaError(error)}`,
+      502,
+      error.response ? error.response.data : undefined
+    );
+  }
+};
+
+// Daraja callbacks carry no credentials, so every callback URL we hand out has a
+// secret ?token=... and a callback is only trusted when it brings that token back
+const callbackTokenOf = (url) => {
+  try {
+    return new URL(url).searchParams.get("token") || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// does the request carry the token of the callback URL configured in envName?
+const hasCallbackToken = (req, envName) => {
+  const expected = callbackTokenOf(process.env[envName]);
+  const given = req.query.token;
+  if (!expected || typeof given !== "string") return false;
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(given);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const requireCallbackUrl = (envName) => {
+  if (!callbackTokenOf(process.env[envName])) {
+    throw new Error(`${envName} must be configured with a ?token= secret`);
+  }
+  return process.env[envName];
+};
+
+const buildStkPushPayload = ({ amount, phoneNumber, accountReference, description }) => {
+  const callbackUrl = requireCallbackUrl("MPESA_CALLBACK_URL");
+
+  const timestamp = getTimestamp();
+  const tillNumber = process.env.MPESA_TILL_NUMBER;
+
+  return {
+    BusinessShortCode: process.env.MPESA_SHORTCODE,
+    Password: getPassword(timestamp),
+    Timestamp: timestamp,
+    TransactionType: tillNumber ? "CustomerBuyGoodsOnline" : "CustomerPayBillOnline",
+    Amount: Math.round(amount),
+    PartyA: phoneNumber,
+    PartyB: tillNumber || process.env.MPESA_SHORTCODE,
+    PhoneNumber: phoneNumber,
+    CallBackURL: callbackUrl,
+    // Daraja truncates/rejects longer values
+    AccountReference: String(accountReference || "HaoChapChap").slice(0, 12),
+    TransactionDesc: String(description || "Payment").slice(0, 13),
+  };
+};
+
+// Send an STK push; resolves with Daraja's response body
+const stkPush = async (options) => {
+  const data = await darajaPost(
+    "/mpesa/stkpush/v1/processrequest",
+    buildStkPushPayload(options)
+  );
+
+  if (String(data.ResponseCode) !== "0" || !data.CheckoutRequestID) {
+    throw new MpesaError(
+      `M-Pesa rejected the payment request: ${data.ResponseDescription || "unknown error"}`,
+      502,
+      data
+    );
+  }
+
+  return data;
+};
+
+// Ask Daraja for the outcome of an earlier STK push
+const stkPushQuery = async (checkoutRequestId) => {
+  const timestamp = getTimestamp();
+
+  return darajaPost("/mpesa/stkpushquery/v1/query", {
+    BusinessShortCode: process.env.MPESA_SHORTCODE,
+    Password: getPassword(timestamp),
+    Timestamp: timestamp,
+    CheckoutRequestID: checkoutRequestId,
+  });
+};
+
+// Result/timeout URLs and initiator shared by B2C and reversal requests
+const getInitiatorFields = () => {
+  const { MPESA_INITIATOR_NAME, MPESA_SECURITY_CREDENTIAL } = process.env;
+
+  if (!MPESA_INITIATOR_NAME || !MPESA_SECURITY_CREDENTIAL) {
+    throw new Error("M-Pesa initiator credentials are not configured");
+  }
+
+  return {
+    initiator: MPESA_INITIATOR_NAME,
+    securityCredential: MPESA_SECURITY_CREDENTIAL,
+    resultUrl: requireCallbackUrl("MPESA_REFUND_RESULT_URL"),
+    timeoutUrl: requireCallbackUrl("MPESA_REFUND_TIMEOUT_URL"),
+  };
+};
+
+// Both APIs acknowledge with a ConversationID; the outcome arrives on the result URL
+const ensureAccepted = (data, action) => {
+  if (String(data.ResponseCode) !== "0" || !data.ConversationID) {
+    throw new MpesaError(
+      `M-Pesa rejected the ${action}: ${data.ResponseDescription || "unknown error"}`,
+      502,
+      data
+    );
+  }
+  return data;
+};
+
+// Send money from the business to a customer's phone (B2C)
+const b2cPayment = async ({ amount, phoneNumber, remarks, occasion }) => {
+  const fields = getInitiatorFields();
+
+  const data = await darajaPost("/mpesa/b2c/v1/paymentrequest", {
+    InitiatorName: fields.initiator,
+    SecurityCredential: fields.securityCredential,
+    CommandID: "BusinessPayment",
+    Amount: Math.round(amount),
+    PartyA: process.env.MPESA_B2C_SHORTCODE || process.env.MPESA_SHORTCODE,
+    PartyB: phoneNumber,
+    Remarks: String(remarks || "Refund").slice(0, 100),
+    QueueTimeOutURL: fields.timeoutUrl,
+    ResultURL: fields.resultUrl,
+    Occasion: String(occasion || "").slice(0, 100),
+  });
+
+  return ensureAccepted(data, "B2C payment");
+};
+
+// Reverse a completed C2B/STK transaction by its M-Pesa receipt number
+const reverseTransaction = async ({ transactionId, amount, remarks, occasion }) => {
+  const fields = getInitiatorFields();
+
+  const data = await darajaPost("/mpesa/reversal/v1/request", {
+    Initiator: fields.initiator,
+    SecurityCredential: fields.securityCredential,
+    CommandID: "TransactionReversal",
+    TransactionID: transactionId,
+    Amount: Math.round(amount),
+    ReceiverParty: process.env.MPESA_SHORTCODE,
+    // Daraja's own spelling
+    RecieverIdentifierType: "11",
+    ResultURL: fields.resultUrl,
+    QueueTimeOutURL: fields.timeoutUrl,
+    Remarks: String(remarks || "Refund").slice(0, 100),
+    Occasion: String(occasion || "").slice(0, 100),
+  });
+
+  return ensureAccepted(data, "reversal");
+};
+
+module.exports = {
+  getBaseUrl,
+  getTimestamp,
+  getPassword,
+  normalisePhoneNumber,
+  getAccessToken,
+  invalidateAccessToken,
+  darajaPost,
+  hasCallbackToken,
+  buildStkPushPayload,
+  stkPush,
+  stkPushQuery,
+  b2cPayment,
+  reverseTransaction,
+};
@@ -0,0 +1,58 @@
+const ErrorHandler = require("./ErrorHandler");
+
+// true if both values are missing/blank
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+// { latitude, longitude } from a request -> GeoJSON Point.
+// Returns undefined when neither is given, null when both are explicitly blanked
+// (used to clear a point on update), and throws a 400 when they are invalid.
+const parseGeoPoint = ({ latitude, longitude }) => {
+  if (latitude === undefined && longitude === undefined) return undefined;
+  if (isBlank(latitude) && isBlank(longitude)) return null;
+
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+
+  if (isBlank(latitude) || isBlank(longitude) || Number.isNaN(lat) || Number.isNaN(lng)) {
+    throw new ErrorHandler("Both latitude and longitude are required", 400);
+  }
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    throw new ErrorHandler("Latitude or longitude is out of range", 400);
+  }
+
+  return { type: "Point", coordinates: [lng, lat] };
+};
+
+// "minLng,minLat,maxLng,maxLat" -> GeoJSON Polygon (throws a 400 when invalid)
+const parseBoundingBox = (bbox) => {
+  const parts = String(bbox).split(",").map(Number);
+
+  if (parts.length !== 4 || parts.some(Number.isNaN)) {
+    throw new ErrorHandler("bbox must be minLng,minLat,maxLng,maxLat", 400);
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng >= maxLng || minLat >= maxLat) {
+    throw new ErrorHandler("bbox minimums must be smaller than its maximums", 400);
+  }
+  parseGeoPoint({ latitude: minLat, longitude: minLng });
+  parseGeoPoint({ latitude: maxLat, longitude: maxLng });
+
+  return {
+    type: "Polygon",
+    coordinates: [
+      [
+        [minLng, minLat],
+        [maxLng, minLat],
+        [maxLng, maxLat],
+        [minLng, maxLat],
+        [minLng, minLat],
+      ],
+    ],
+  };
+};
+
+module.exports = {
+  parseGeoPoint,
+  parseBoundingBox,
+};
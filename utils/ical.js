@@ -0,0 +1,136 @@
+// Minimal RFC 5545 (iCalendar) writer for viewing bookings
+
+const TIMEZONE = "Africa/Nairobi";
+const OFFSET_MS = 3 * 60 * 60 * 1000;
+
+// Nairobi has been UTC+3 without daylight saving since 1960
+const VTIMEZONE = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${TIMEZONE}`,
+  "BEGIN:STANDARD",
+  "DTSTART:19700101T000000",
+  "TZOFFSETFROM:+0300",
+  "TZOFFSETTO:+0300",
+  "TZNAME:EAT",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+// commas, semicolons, backslashes and newlines must be escaped in TEXT values
+const escapeText = (value) =>
+  String(value == null ? "" : value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// parameter values (like CN) are quoted instead of escaped and cannot hold quotes
+const paramValue = (value) => `"${String(value).replace(/["\r\n]/g, "")}"`;
+
+// Lines longer than 75 octets are folded onto continuation lines starting with
+// a space. Never split a multi-byte character.
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let size = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (size + bytes > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+};
+
+// 20261020T060000Z
+const formatUtc = (date) =>
+  date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// 20261020T090000, to be used with TZID=Africa/Nairobi
+const formatLocal = (date) =>
+  new Date(date.getTime() + OFFSET_MS)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}Z$/, "");
+
+const EVENT_STATUS = {
+  Pending: "TENTATIVE",
+  Confirmed: "CONFIRMED",
+  Completed: "CONFIRMED",
+  "No-show": "CONFIRMED",
+  Cancelled: "CANCELLED",
+};
+
+// VEVENT lines for a booking. `product` and `shop` are optional.
+const bookingEvent = (booking, { product, shop, slotMinutes = 60, forShop = false } = {}) => {
+  const start = booking.bookingDateTime;
+  // the booking keeps the slot length it was made with
+  const end = new Date(start.getTime() + (booking.slotMinutes || slotMinutes) * 60 * 1000);
+  const organizer = process.env.SMTP_MAIL;
+
+  const summary = forShop
+    ? `Viewing with ${booking.name}${product ? `: ${product.name}` : ""}`
+    : `Property viewing${product ? `: ${product.name}` : ""}`;
+
+  const description = forShop
+    ? [
+        `Customer: ${booking.name}`,
+        `Phone: ${booking.phone}`,
+        `Email: ${booking.email}`,
+        `Status: ${booking.status}`,
+        booking.message ? `Message: ${booking.message}` : "",
+      ]
+    : [
+        shop ? `Agent: ${shop.name}` : "",
+        shop && shop.phoneNumber ? `Agent phone: ${shop.phoneNumber}` : "",
+        `Status: ${booking.status}`,
+      ];
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:booking-${booking._id}@haochapchap`,
+    // clients only apply an update with a higher sequence number
+    `SEQUENCE:${Math.max(0, (booking.statusHistory || []).length - 1)}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART;TZID=${TIMEZONE}:${formatLocal(start)}`,
+    `DTEND;TZID=${TIMEZONE}:${formatLocal(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description.filter(Boolean).join("\n"))}`,
+    product && product.location ? `LOCATION:${escapeText(product.location)}` : "",
+    `STATUS:${EVENT_STATUS[booking.status] || "TENTATIVE"}`,
+    organizer ? `ORGANIZER;CN=HaoChapChap:mailto:${organizer}` : "",
+    forShop ? "" : `ATTENDEE;CN=${paramValue(booking.name)};RSVP=FALSE:mailto:${booking.email}`,
+    "END:VEVENT",
+  ].filter(Boolean);
+};
+
+// A whole VCALENDAR. `method` is REQUEST / CANCEL for emailed invites and is
+// left out for subscription feeds.
+const buildCalendar = ({ events, method, name }) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//HaoChapChap//Viewings//EN",
+    "CALSCALE:GREGORIAN",
+    method ? `METHOD:${method}` : "",
+    name ? `X-WR-CALNAME:${escapeText(name)}` : "",
+    `X-WR-TIMEZONE:${TIMEZONE}`,
+    ...VTIMEZONE,
+    ...events.flat(),
+    "END:VCALENDAR",
+  ].filter(Boolean);
+
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+module.exports = {
+  bookingEvent,
+  buildCalendar,
+};
@@ -1,20 +1,10 @@
-// create token and saving that in cookies
-const sendToken = (user, statusCode, res) => {
-  const token = user.getJwtToken();
+const { createSession, sendSessionTokens } = require("./sessions");
 
-  // Options for cookies
-  const options = {
-    expires: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000),
-    httpOnly: true,
-    sameSite: "none",
-    secure: true,
-  };
+// start a session and send its access/refresh tokens in cookies and the body
+const sendToken = async (user, statusCode, res, req) => {
+  const { session, refreshToken } = await createSession(user, "User", req);
 
-  res.status(statusCode).cookie("token", token, options).json({
-    success: true,
-    user,
-    token,
-  });
+  sendSessionTokens(user, "User", session, refreshToken, statusCode, res);
 };
 
 module.exports = sendToken;
@@ -0,0 +1,62 @@
+const Order = require("../model/order");
+const Product = require("../model/product");
+const Shop = require("../model/shop");
+const { notifyStatusChange } = require("./orderMail");
+
+// Called once when the payment for a set of orders is confirmed:
+// marks them paid, moves stock to sold_out, credits each shop and tells
+// the buyer and the shop.
+const fulfilPaidOrders = async (payment) => {
+  const note = `Paid via M-Pesa ${payment.mpesaReceiptNumber || ""}`.trim();
+
+  for (const orderId of payment.orders || []) {
+    // the status guard makes this safe to run twice for the same payment
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, status: "Awaiting Payment" },
+      {
+        $set: {
+          status: "Processing",
+          payment: payment._id,
+          paidAt: payment.paidAt || new Date(),
+        },
+        $push: {
+          statusHistory: {
+            status: "Processing",
+            changedBy: "system",
+            note,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (!order) continue;
+
+    for (const item of order.cart) {
+      const updated = await Product.updateOne(
+        { _id: item.product, stock: { $gte: item.quantity } },
+        { $inc: { stock: -item.quantity, sold_out: item.quantity } }
+      );
+
+      if (updated.modifiedCount === 0) {
+        // sold out between checkout and payment; keep the sale, flag it in the logs
+        console.error(
+          `Order ${order._id}: not enough stock left for product ${item.product}`
+        );
+        await Product.updateOne(
+          { _id: item.product },
+          { $set: { stock: 0 }, $inc: { sold_out: item.quantity } }
+        );
+      }
+    }
+
+    await Shop.updateOne(
+      { _id: order.shop },
+      { $inc: { availableBalance: order.totalPrice } }
+    );
+
+    await notifyStatusChange(order, "system", note);
+  }
+};
+
+module.exports = { fulfilPaidOrders };
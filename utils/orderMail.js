@@ -0,0 +1,45 @@
+// Emails sent to buyers and shops about their orders
+const User = require("../model/user");
+const Shop = require("../model/shop");
+const sendMail = require("./sendMail");
+
+// tell the buyer (and the shop, unless the seller acted) about a status change
+const notifyStatusChange = async (order, changedBy, note) => {
+  const [user, shop] = await Promise.all([
+    User.findById(order.user),
+    Shop.findById(order.shop),
+  ]);
+  const reference = String(order._id).slice(-8).toUpperCase();
+  const mails = [];
+
+  if (user) {
+    mails.push({
+      email: user.email,
+      subject: `Order ${reference} is now ${order.status}`,
+      message: `Hello ${user.name}, your order ${reference} from ${
+        shop ? shop.name : "HaoChapChap"
+      } is now "${order.status}".${note ? ` Note: ${note}` : ""}`,
+    });
+  }
+
+  if (shop && changedBy !== "seller") {
+    mails.push({
+      email: shop.email,
+      subject: `Order ${reference} is now ${order.status}`,
+      message: `Hello ${shop.name}, order ${reference} was marked "${order.status}" by the ${changedBy}.${
+        note ? ` Note: ${note}` : ""
+      }`,
+    });
+  }
+
+  // the status change is already saved; a mail failure must not undo it
+  for (const mail of mails) {
+    try {
+      await sendMail(mail);
+    } catch (error) {
+      console.error(`Order ${order._id} status mail failed:`, error.message);
+    }
+  }
+};
+
+module.exports = { notifyStatusChange };
@@ -0,0 +1,11 @@
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// ?page=&limit= with sane bounds
+const parsePagination = (query) => {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT));
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+module.exports = parsePagination;
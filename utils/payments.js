@@ -0,0 +1,168 @@
+const Payment = require("../model/payment");
+const { stkPush, stkPushQuery } = require("./daraja");
+const { fulfilPaidOrders } = require("./orderFulfilment");
+const { releaseCouponRedemption } = require("./coupon");
+
+// Daraja answers stkpushquery with this errorCode while the customer has not responded yet
+const STILL_PROCESSING_ERROR = "500.001.1001";
+
+// Send an STK push and record it as a pending Payment.
+// `phoneNumber` must already be normalised; Daraja failures throw MpesaError.
+const initiateStkPayment = async ({
+  amount,
+  phoneNumber,
+  accountReference,
+  description,
+  user,
+  shop,
+  orders,
+}) => {
+  const response = await stkPush({
+    amount,
+    phoneNumber,
+    accountReference,
+    description,
+  });
+
+  const payment = await Payment.create({
+    merchantRequestId: response.MerchantRequestID,
+    checkoutRequestId: response.CheckoutRequestID,
+    amount: Math.round(amount),
+    phoneNumber,
+    accountReference,
+    description,
+    user,
+    shop,
+    orders,
+  });
+
+  return { payment, response };
+};
+
+// Settle a pending payment from a callback or query result.
+// Resolves with the updated payment, or null if it was unknown or already settled.
+const settlePayment = async (checkoutRequestId, result) => {
+  const payment = await Payment.findOneAndUpdate(
+    { checkoutRequestId, status: "Pending" },
+    { $set: Payment.settlementFor(result) },
+    { new: true }
+  );
+
+  if (payment && payment.status === "Paid") {
+    await fulfilPaidOrders(payment);
+  }
+
+  // a failed or dismissed push gives the coupon use back, unless another push
+  // for the same orders is still running; /order/pay takes it again on retry
+  if (payment && payment.status !== "Paid" && payment.orders.length > 0) {
+    const otherPending = await Payment.exists({
+      _id: { $ne: payment._id },
+      orders: { $in: payment.orders },
+      status: "Pending",
+    });
+    if (!otherPending) {
+      await releaseCouponRedemption(payment.orders);
+    }
+  }
+
+  return payment;
+};
+
+// Settle a payment from an M-Pesa callback. A successful result is only
+// trusted once stkpushquery confirms it; the callback still supplies the
+// receipt number, which the query does not return. Resolves with the updated
+// payment, or null when nothing was settled (the sweep will query it later).
+const settleFromCallback = async (checkoutRequestId, callback) => {
+  if (Number(callback.ResultCode) !== 0) {
+    return settlePayment(checkoutRequestId, callback);
+  }
+
+  const pending = await Payment.exists({ checkoutRequestId, status: "Pending" });
+  if (!pending) {
+    return null;
+  }
+
+  let confirmed;
+  try {
+    confirmed = await stkPushQuery(checkoutRequestId);
+  } catch (error) {
+    console.error(
+      `Could not confirm M-Pesa callback for ${checkoutRequestId}:`,
+      error.message
+    );
+    return null;
+  }
+
+  if (confirmed.ResultCode === undefined) {
+    return null;
+  }
+
+  return settlePayment(
+    checkoutRequestId,
+    Number(confirmed.ResultCode) === 0 ? callback : confirmed
+  );
+};
+
+// Ask Daraja for the outcome of a pending payment and settle it if known
+const queryPendingPayment = async (payment) => {
+  if (payment.status !== "Pending") {
+    return payment;
+  }
+
+  let result;
+  try {
+    result = await stkPushQuery(payment.checkoutRequestId);
+  } catch (error) {
+    if (error.details && error.details.errorCode === STILL_PROCESSING_ERROR) {
+      return payment;
+    }
+    throw error;
+  }
+
+  if (result.ResultCode === undefined) {
+    return payment;
+  }
+
+  const settled = await settlePayment(payment.checkoutRequestId, result);
+
+  // the callback may have won the race; return whatever is stored now
+  return settled || Payment.findById(payment._id);
+};
+
+// Query every payment that has been pending for longer than olderThanSeconds
+const sweepPendingPayments = async (olderThanSeconds = 60, limit = 50) => {
+  const payments = await Payment.find({
+    status: "Pending",
+    createdAt: { $lte: new Date(Date.now() - olderThanSeconds * 1000) },
+  })
+    .sort({ createdAt: 1 })
+    .limit(limit);
+
+  const summary = { checked: payments.length, settled: 0, failed: 0 };
+
+  // one at a time to stay well inside Daraja's rate limits
+  for (const payment of payments) {
+    try {
+      const updated = await queryPendingPayment(payment);
+      if (updated && updated.status !== "Pending") {
+        summary.settled += 1;
+      }
+    } catch (error) {
+      summary.failed += 1;
+      console.error(
+        `STK query failed for ${payment.checkoutRequestId}:`,
+        error.message
+      );
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  initiateStkPayment,
+  settlePayment,
+  settleFromCallback,
+  queryPendingPayment,
+  sweepPendingPayments,
+};
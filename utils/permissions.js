@@ -0,0 +1,49 @@
+// Roles and the named permissions they grant. Admins get everything.
+// Shop accounts always hold the "seller" role; their own listings, orders and
+// coupons are still guarded by isSeller plus an ownership check.
+const ROLE_PERMISSIONS = {
+  admin: ["*"],
+  editor: ["blogs:manage", "reviews:moderate"],
+  support: [
+    "users:read",
+    "sellers:read",
+    "listings:read",
+    "orders:read",
+    "refunds:read",
+    "payments:read",
+    "reviews:moderate",
+    "bookings:manage",
+  ],
+  seller: [],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// roles that can be granted to user accounts
+const GRANTABLE_ROLES = ["admin", "editor", "support"];
+
+// Roles of a user or shop. Users created before roles existed only have the
+// old `role` string, where "Admin" means admin.
+const rolesOf = (account) => {
+  if (!account) return [];
+
+  const roles = new Set(account.roles || []);
+  if (account.role === "Admin") roles.add("admin");
+  if (account.role === "Seller") roles.add("seller");
+
+  return [...roles];
+};
+
+const hasPermission = (roles, permission) =>
+  roles.some((role) => {
+    const granted = ROLE_PERMISSIONS[role] || [];
+    return granted.includes("*") || granted.includes(permission);
+  });
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  ROLES,
+  GRANTABLE_ROLES,
+  rolesOf,
+  hasPermission,
+};
@@ -0,0 +1,128 @@
+const mongoose = require("mongoose");
+const ErrorHandler = require("./ErrorHandler");
+
+const SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  price_asc: { discountPrice: 1, createdAt: -1 },
+  price_desc: { discountPrice: -1, createdAt: -1 },
+  popularity: { sold_out: -1, ratings: -1, createdAt: -1 },
+  rating: { ratings: -1, createdAt: -1 },
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// optional numeric query param; throws a 400 if present but not a number
+const numberParam = (query, name) => {
+  if (query[name] === undefined || query[name] === "") return undefined;
+  const value = Number(query[name]);
+  if (Number.isNaN(value)) {
+    throw new ErrorHandler(`${name} must be a number`, 400);
+  }
+  return value;
+};
+
+// min/max query params -> { $gte, $lte } on a field
+const addRange = (filter, field, min, max) => {
+  if (min === undefined && max === undefined) return;
+  filter[field] = {};
+  if (min !== undefined) filter[field].$gte = min;
+  if (max !== undefined) filter[field].$lte = max;
+};
+
+// Build the MongoDB filter for a listing search from the request query:
+// keyword, category, location, minPrice, maxPrice, minRating, shopId and the
+// property attributes (listingType, rentPeriod, min/maxBedrooms, minBathrooms,
+// furnishing, min/maxPlotSize, amenities as a comma separated list).
+// Pass { textSearch: false } where $text is not allowed (e.g. inside $geoNear).
+const buildProductFilter = (query, { textSearch = true } = {}) => {
+  const filter = {};
+
+  if (query.keyword && textSearch) {
+    filter.$text = { $search: String(query.keyword) };
+  } else if (query.keyword) {
+    const keyword = { $regex: escapeRegex(query.keyword), $options: "i" };
+    filter.$or = [{ name: keyword }, { description: keyword }, { tags: keyword }];
+  }
+
+  if (query.category) {
+    filter.category = String(query.category);
+  }
+
+  if (query.location) {
+    filter.location = { $regex: escapeRegex(query.location), $options: "i" };
+  }
+
+  // cast here too: aggregation pipelines do not cast their filters
+  if (query.shopId) {
+    if (!mongoose.isValidObjectId(query.shopId)) {
+      throw new ErrorHandler("Invalid shopId", 400);
+    }
+    filter.shopId = new mongoose.Types.ObjectId(String(query.shopId));
+  }
+
+  addRange(
+    filter,
+    "discountPrice",
+    numberParam(query, "minPrice"),
+    numberParam(query, "maxPrice")
+  );
+
+  const minRating = numberParam(query, "minRating");
+  if (minRating !== undefined) {
+    filter.ratings = { $gte: minRating };
+  }
+
+  for (const key of ["listingType", "rentPeriod", "furnishing"]) {
+    if (query[key]) {
+      filter[`attributes.${key}`] = String(query[key]);
+    }
+  }
+
+  addRange(
+    filter,
+    "attributes.bedrooms",
+    numberParam(query, "minBedrooms"),
+    numberParam(query, "maxBedrooms")
+  );
+  addRange(filter, "attributes.bathrooms", numberParam(query, "minBathrooms"));
+  addRange(
+    filter,
+    "attributes.plotSize",
+    numberParam(query, "minPlotSize"),
+    numberParam(query, "maxPlotSize")
+  );
+
+  if (query.amenities) {
+    const amenities = String(query.amenities)
+      .split(",")
+      .map((amenity) => amenity.trim().toLowerCase())
+      .filter(Boolean);
+    if (amenities.length > 0) {
+      filter["attributes.amenities"] = { $all: amenities };
+    }
+  }
+
+  return filter;
+};
+
+// sort spec for ?sort=; keyword searches default to relevance
+const buildProductSort = (query) => {
+  if (query.sort && !SORTS[query.sort] && query.sort !== "relevance") {
+    throw new ErrorHandler(
+      `sort must be one of ${["relevance", ...Object.keys(SORTS)].join(", ")}`,
+      400
+    );
+  }
+
+  if (query.keyword && (!query.sort || query.sort === "relevance")) {
+    return { score: { $meta: "textScore" }, createdAt: -1 };
+  }
+
+  return SORTS[query.sort] || SORTS.newest;
+};
+
+module.exports = {
+  buildProductFilter,
+  buildProductSort,
+};
@@ -16,7 +16,8 @@ const sendMail = async (options) => {
         to: options.email,
         subject: options.subject,
         text: options.message,
-        html: options.htmlMessage  // HTML formatted content
+        html: options.htmlMessage,  // HTML formatted content
+        attachments: options.attachments,
     };
 
     await transporter.sendMail(mailOptions);
@@ -0,0 +1,156 @@
+const crypto = require("crypto");
+const Session = require("../model/session");
+const ErrorHandler = require("./ErrorHandler");
+
+const ACCESS_TOKEN_MINUTES = Number(process.env.ACCESS_TOKEN_MINUTES) || 15;
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// cookie names and the paths refresh cookies are limited to, per account type
+const COOKIES = {
+  User: { access: "token", refresh: "refresh_token", path: "/api/v2/user" },
+  Shop: { access: "seller_token", refresh: "seller_refresh_token", path: "/api/v2/shop" },
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(40).toString("hex");
+
+// start a session for a freshly logged in account
+const createSession = async (account, accountType, req) => {
+  const refreshToken = newRefreshToken();
+
+  const session = await Session.create({
+    accountType,
+    account: account._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req ? req.headers["user-agent"] : undefined,
+    ip: req ? req.ip : undefined,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  return { session, refreshToken };
+};
+
+// Swap a refresh token for a new one. A token that was already rotated away is
+// treated as stolen and the whole session is revoked.
+const rotateSession = async (refreshToken, accountType) => {
+  if (!refreshToken) {
+    throw new ErrorHandler("Please login to continue", 401);
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+
+  const session = await Session.findOneAndUpdate(
+    {
+      tokenHash,
+      accountType,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $set: { tokenHash: hashToken(nextToken), lastUsedAt: new Date() },
+      $push: { rotatedTokenHashes: { $each: [tokenHash], $slice: -20 } },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    await Session.updateOne(
+      { rotatedTokenHashes: tokenHash, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    throw new ErrorHandler("Your session has expired, please login again", 401);
+  }
+
+  return { session, refreshToken: nextToken };
+};
+
+// is the session behind an access token still usable?
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+  return Boolean(
+    await Session.exists({
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+  );
+};
+
+const revokeSession = async (filter) => {
+  await Session.updateOne(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+// log an account out everywhere (logout-all, password change or reset),
+// optionally keeping the session the request came from
+const revokeAllSessions = async (accountType, accountId, exceptSessionId) => {
+  const filter = { accountType, account: accountId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  await Session.updateMany(filter, { $set: { revokedAt: new Date() } });
+};
+
+// Set the access and refresh cookies and return both tokens in the body
+const sendSessionTokens = (account, accountType, session, refreshToken, statusCode, res) => {
+  const cookies = COOKIES[accountType];
+  const token = account.getJwtToken(session._id);
+
+  const options = {
+    httpOnly: true,
+    sameSite: "none",
+    secure: true,
+  };
+
+  res
+    .status(statusCode)
+    .cookie(cookies.access, token, {
+      ...options,
+      expires: new Date(Date.now() + ACCESS_TOKEN_MINUTES * 60 * 1000),
+    })
+    .cookie(cookies.refresh, refreshToken, {
+      ...options,
+      path: cookies.path,
+      expires: session.expiresAt,
+    })
+    .json({
+      success: true,
+      user: account,
+      token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_MINUTES * 60,
+    });
+};
+
+// Clear both cookies of an account type
+const clearSessionCookies = (accountType, res) => {
+  const cookies = COOKIES[accountType];
+  const options = {
+    expires: new Date(Date.now()),
+    httpOnly: true,
+    sameSite: "none",
+    secure: true,
+  };
+
+  res.cookie(cookies.access, null, options);
+  res.cookie(cookies.refresh, null, { ...options, path: cookies.path });
+};
+
+module.exports = {
+  ACCESS_TOKEN_MINUTES,
+  COOKIES,
+  hashToken,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions,
+  sendSessionTokens,
+  clearSessionCookies,
+};